@@ -0,0 +1,313 @@
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+import { schedule } from "./scheduler.js";
+import { enqueueMessages } from "./messageQueue.js";
+import { validationError } from "./validation.js";
+import { IssueTokenError, verifyIssueToken, consumeIssueToken } from "./issueTokens.js";
+import { LEAD_STATUS, normaliseStatus, assertTransition, changeLeadStatus } from "./leadStatus.js";
+
+// 📱 Agent mini-portal. The link in the assignment SMS is the agent's only
+// credential: while its own ("home") lead is open it also opens every other
+// lead still assigned to the same agent in the same company. Once the home
+// lead is closed the link only shows that lead; the agent's other leads stay
+// reachable through their own links. Status changes go through the lead state
+// machine, so the link keeps working after the first update (used_at only
+// records when that happened).
+
+export const DECLINE_REASONS = [
+  "Affordability",
+  "Credit history",
+  "Could not verify identity",
+  "Customer withdrew",
+  "Fraud concern",
+  "Other",
+];
+
+// Outcomes an agent can record from the portal
+export const PORTAL_STATUSES = [
+  LEAD_STATUS.ISSUED,
+  LEAD_STATUS.DECLINED,
+  LEAD_STATUS.UNABLE_TO_CONTACT,
+  LEAD_STATUS.NO_LONGER_NEEDED,
+];
+
+const CALL_TIMEZONE = process.env.CALL_TIMEZONE || "Europe/London";
+const MAX_NOTE_LENGTH = 2000;
+const MAX_CALLBACK_DAYS = 60;
+
+const LEAD_COLUMNS = [
+  "id",
+  "title",
+  "first_name",
+  "surname",
+  "dob",
+  "email",
+  "phone_number",
+  "address",
+  "town",
+  "postcode",
+  "amount_requested",
+  "loan_term",
+  "income",
+  "reason_for_borrowing",
+  "best_call_time",
+  "method_collection",
+  "status",
+  "assigned_agent",
+  "assigned_time",
+  "company_name",
+  "decline_reason",
+  "callback_at",
+].join(", ");
+
+// --- Access ---
+// { record, agentName, companyName, homeLeadId, homeOpen } for a valid link
+export async function openPortal(token) {
+  const { record, lead } = await verifyIssueToken(token, { allowUsed: true });
+  return {
+    record,
+    agentName: record.agent_name,
+    companyName: lead.company_name,
+    homeLeadId: lead.id,
+    homeOpen: lead.status === LEAD_STATUS.IN_PROGRESS,
+  };
+}
+
+// A lead this agent may see (404 for anything else, so ids don't leak)
+export async function loadAgentLead(portal, leadId) {
+  if (String(leadId) !== String(portal.homeLeadId) && !portal.homeOpen) {
+    throw httpError(404, "Lead not found");
+  }
+
+  const { data: lead, error } = await supabase
+    .from("loan_applications")
+    .select(LEAD_COLUMNS)
+    .eq("id", leadId)
+    .eq("company_name", portal.companyName)
+    .eq("assigned_agent", portal.agentName)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!lead) throw httpError(404, "Lead not found");
+  return lead;
+}
+
+// The agent's other open leads, oldest assignment first
+export async function listOpenLeads(portal, exceptId) {
+  if (!portal.homeOpen) return [];
+
+  let query = supabase
+    .from("loan_applications")
+    .select("id, first_name, surname, amount_requested, town, assigned_time, callback_at")
+    .eq("company_name", portal.companyName)
+    .eq("assigned_agent", portal.agentName)
+    .eq("status", LEAD_STATUS.IN_PROGRESS)
+    .order("assigned_time", { ascending: true })
+    .limit(50);
+
+  if (exceptId) query = query.neq("id", exceptId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+export async function listNotes(leadId) {
+  const { data, error } = await supabase
+    .from("lead_notes")
+    .select("id, author, author_type, body, created_at")
+    .eq("lead_id", leadId)
+    .order("created_at", { ascending: false })
+    .limit(100);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// --- Actions ---
+function cleanNote(text) {
+  const note = String(text ?? "").trim();
+  if (note.length > MAX_NOTE_LENGTH) {
+    throw validationError([{ field: "note", message: `Must be ${MAX_NOTE_LENGTH} characters or fewer` }]);
+  }
+  return note;
+}
+
+export async function addNote(portal, lead, text) {
+  const body = cleanNote(text);
+  if (!body) throw validationError([{ field: "note", message: "Note is required" }]);
+
+  const { error } = await supabase.from("lead_notes").insert({
+    lead_id: lead.id,
+    author: portal.agentName,
+    author_type: "agent",
+    body,
+  });
+  if (error) throw error;
+}
+
+// Records an outcome (with an optional decline reason and note)
+export async function updateLeadFromPortal(portal, lead, { status, reason, details, note }) {
+  const to = normaliseStatus(status);
+  if (!PORTAL_STATUSES.includes(to)) {
+    throw validationError([{ field: "status", message: "Unknown status" }]);
+  }
+  if (reason && !DECLINE_REASONS.includes(reason)) {
+    throw validationError([{ field: "decline_reason", message: "Unknown decline reason" }]);
+  }
+
+  const extra = cleanNote(details);
+  assertTransition(lead.status, to);
+
+  const fields = {};
+  if (to === LEAD_STATUS.DECLINED && (reason || extra)) {
+    fields.decline_reason = [reason, extra].filter(Boolean).join(": ");
+  }
+  if (to !== LEAD_STATUS.IN_PROGRESS) fields.callback_at = null;
+
+  await changeLeadStatus({
+    leadId: lead.id,
+    to,
+    changedBy: portal.agentName,
+    channel: "agent_portal",
+    fields,
+  });
+
+  if (String(note ?? "").trim()) await addNote(portal, lead, note);
+
+  // First update through this link: record when it was used
+  if (lead.id === portal.homeLeadId && !portal.record.used_at) {
+    try {
+      await consumeIssueToken(portal.record);
+    } catch (err) {
+      if (!(err instanceof IssueTokenError)) throw err;
+    }
+  }
+
+  return to;
+}
+
+// "2026-10-18T14:30" typed in the agent's local time → Date
+export function parseLocalDateTime(value, timeZone = CALL_TIMEZONE) {
+  const match = String(value ?? "").match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/);
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi] = match.map(Number);
+  const asUtc = Date.UTC(y, mo - 1, d, h, mi);
+
+  // How far the zone is ahead of UTC at that moment (handles BST/GMT)
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(new Date(asUtc))
+      .map((p) => [p.type, p.value])
+  );
+  const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+
+  return new Date(asUtc - (zoned - asUtc));
+}
+
+export function formatLocalDateTime(date, timeZone = CALL_TIMEZONE) {
+  return new Date(date).toLocaleString("en-GB", {
+    timeZone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+export async function scheduleCallback(portal, lead, { when, note }) {
+  const at = parseLocalDateTime(when);
+  const now = Date.now();
+
+  if (!at || at.getTime() <= now || at.getTime() > now + MAX_CALLBACK_DAYS * 24 * 60 * 60 * 1000) {
+    throw validationError([
+      { field: "callback_at", message: `Pick a time in the next ${MAX_CALLBACK_DAYS} days` },
+    ]);
+  }
+  if (lead.status !== LEAD_STATUS.IN_PROGRESS) {
+    throw httpError(409, "Callbacks can only be booked for open leads");
+  }
+
+  const { error } = await supabase
+    .from("loan_applications")
+    .update({ callback_at: at.toISOString(), callback_reminded_at: null })
+    .eq("id", lead.id);
+  if (error) throw error;
+
+  await addNote(
+    portal,
+    lead,
+    [`Callback booked for ${formatLocalDateTime(at)}`, cleanNote(note)].filter(Boolean).join(". ")
+  );
+
+  return at;
+}
+
+// --- Callback reminders ---
+// SMS the agent when a booked callback comes due
+export async function runCallbackReminders() {
+  const now = new Date().toISOString();
+  const { data: leads, error } = await supabase
+    .from("loan_applications")
+    .select("id, first_name, surname, phone_number, company_name, assigned_agent, callback_at")
+    .lte("callback_at", now)
+    .is("callback_reminded_at", null)
+    .eq("status", LEAD_STATUS.IN_PROGRESS)
+    .limit(50);
+
+  if (error) throw error;
+
+  for (const lead of leads || []) {
+    try {
+      // Claim it so a second instance doesn't remind too
+      const { data: claimed, error: claimError } = await supabase
+        .from("loan_applications")
+        .update({ callback_reminded_at: now })
+        .eq("id", lead.id)
+        .eq("callback_at", lead.callback_at)
+        .is("callback_reminded_at", null)
+        .select("id");
+
+      if (claimError) throw claimError;
+      if (!claimed?.length) continue;
+
+      const { data: agent, error: agentError } = await supabase
+        .from("agents")
+        .select("phone")
+        .eq("company_name", lead.company_name)
+        .eq("name", lead.assigned_agent)
+        .maybeSingle();
+
+      if (agentError) throw agentError;
+      if (!agent?.phone) continue;
+
+      await enqueueMessages([
+        {
+          channel: "sms",
+          to: agent.phone,
+          leadId: lead.id,
+          companyName: lead.company_name,
+          body: `📞 Callback due now: ${lead.first_name || ""} ${lead.surname || ""} on ${lead.phone_number || "(no number)"}`,
+        },
+      ]);
+      console.log(`📞 Queued callback reminder for lead ${lead.id}`);
+    } catch (err) {
+      console.error(`❌ Callback reminder failed for lead ${lead.id}:`, err.message);
+    }
+  }
+}
+
+export function startCallbackReminderScheduler() {
+  const interval = Number(process.env.CALLBACK_CHECK_MS) || 60 * 1000;
+  return schedule("callback-reminders", interval, runCallbackReminders);
+}
@@ -0,0 +1,78 @@
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+
+// 📊 Lead-performance reports. Each one is a Postgres function (see the
+// analytics migration) so date/company/branch filtering stays in the database.
+
+// 93784 → "1d 2h 3m"
+export function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return null;
+  const total = Math.round(Number(seconds) / 60);
+  const days = Math.floor(total / (60 * 24));
+  const hours = Math.floor((total % (60 * 24)) / 60);
+  const mins = total % 60;
+  return `${days}d ${hours}h ${mins}m`;
+}
+
+const GROUPS = {
+  tti: ["agent", "branch", "overall"],
+  outcomes: ["agent", "branch"],
+};
+const INTERVALS = ["day", "week", "month"];
+
+export const REPORTS = {
+  tti: {
+    rpc: "analytics_tti",
+    format: (row) => ({
+      ...row,
+      mean_tti: formatDuration(row.mean_seconds),
+      median_tti: formatDuration(row.median_seconds),
+      p90_tti: formatDuration(row.p90_seconds),
+    }),
+  },
+  funnel: { rpc: "analytics_funnel" },
+  outcomes: { rpc: "analytics_outcomes" },
+  volume: { rpc: "analytics_volume" },
+  sla_breaches: { rpc: "analytics_sla_breaches" },
+};
+
+function parseDate(value, field) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw httpError(400, `Invalid ${field} date`);
+  return date.toISOString();
+}
+
+// Runs one report for a company (and optionally one branch)
+export async function runReport(name, { companyName, branch, from, to, groupBy, interval }) {
+  const report = REPORTS[name];
+  if (!report) throw httpError(404, `Unknown report "${name}"`);
+
+  const params = {
+    p_company: companyName,
+    p_branch: branch ? String(branch) : null,
+    p_from: parseDate(from, "from"),
+    p_to: parseDate(to, "to"),
+  };
+
+  if (GROUPS[name]) {
+    const group = groupBy || GROUPS[name][0];
+    if (!GROUPS[name].includes(group)) {
+      throw httpError(400, `group_by must be one of ${GROUPS[name].join(", ")}`);
+    }
+    params.p_group = group;
+  }
+
+  if (name === "volume") {
+    const step = interval || "day";
+    if (!INTERVALS.includes(step)) {
+      throw httpError(400, `interval must be one of ${INTERVALS.join(", ")}`);
+    }
+    params.p_interval = step;
+  }
+
+  const { data, error } = await supabase.rpc(report.rpc, params);
+  if (error) throw error;
+
+  return (data || []).map(report.format || ((row) => row));
+}
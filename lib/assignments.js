@@ -0,0 +1,222 @@
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+import { createIssueToken } from "./issueTokens.js";
+import { enqueueMessages, enqueueEach } from "./messageQueue.js";
+import { LEAD_STATUS, assertTransition, changeLeadStatus } from "./leadStatus.js";
+import { getCompanySettings } from "./companySettings.js";
+import { emitEvent } from "./eventWebhooks.js";
+
+// 📦 Branch and agent assignment flows, shared by the dashboard routes and
+// automatic routing on /lead-created.
+
+// --- Assign branch + notify only branch managers ---
+
+// There's no branches table: a branch is one of the company's if any of its
+// users or agents work there
+export async function assertCompanyBranch(companyName, branchId) {
+  const [users, agents] = await Promise.all(
+    ["users", "agents"].map((table) =>
+      supabase
+        .from(table)
+        .select("id")
+        .eq("company_name", companyName)
+        .eq("branch", branchId)
+        .limit(1)
+    )
+  );
+
+  if (users.error) throw users.error;
+  if (agents.error) throw agents.error;
+  if (!users.data?.length && !agents.data?.length) throw httpError(404, "Branch not found");
+}
+export async function assignLeadToBranch({ leadId, branchId, companyName }) {
+  console.log(`📩 Assigning branch ${branchId} to lead ${leadId}`);
+
+  // ✅ 1. Update lead’s assigned_branch (this company only) and fetch lead details
+  const { data: updatedLead, error: updateError } = await supabase
+    .from("loan_applications")
+    .update({ assigned_branch: branchId })
+    .eq("id", leadId)
+    .eq("company_name", companyName)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!updatedLead) throw httpError(404, "Lead not found after update");
+
+  await emitEvent(updatedLead.company_name, "branch.assigned", {
+    lead_id: updatedLead.id,
+    branch: branchId,
+  });
+
+  // ✅ 2. Fetch managers for this company + branch
+  const { data: managers, error: mgrError } = await supabase
+    .from("users")
+    .select("id, email, phone, role, company_name, branch, lead_notifications")
+    .eq("company_name", updatedLead.company_name)
+    .eq("branch", branchId)
+    .eq("role", "manager")
+    .eq("lead_notifications", true);
+
+  if (mgrError) throw mgrError;
+
+  if (!managers?.length) {
+    console.log(
+      `⚠️ No managers found for branch ${branchId} (${updatedLead.company_name})`
+    );
+    return { lead: updatedLead, notified: 0 };
+  }
+
+  // ✅ 3. Prepare message
+  const snapshot = `Lead: ${updatedLead.first_name || ""} ${
+    updatedLead.surname || ""
+  }\nAmount: £${updatedLead.amount_requested || ""}\nReason: ${
+    updatedLead.reason_for_borrowing || ""
+  }`;
+
+  const { dashboard_url: dashboardUrl } = await getCompanySettings(updatedLead.company_name);
+  const message = `A new lead has been assigned to your branch.
+\n${snapshot}\n\nView Lead: ${dashboardUrl}`;
+
+  // ✅ 4. Queue notifications for branch managers (SMS + Email)
+  try {
+    await enqueueMessages(
+      managers.flatMap((manager) => [
+        { channel: "sms", to: manager.phone, body: message },
+        {
+          channel: "email",
+          to: manager.email,
+          subject: `New Lead Assigned - ${updatedLead.company_name}`,
+          body: message,
+        },
+      ]).map((m) => ({ ...m, leadId: updatedLead.id, companyName: updatedLead.company_name }))
+    );
+  } catch (err) {
+    // Over quota: the branch assignment still stands
+    if (err.status !== 429) throw err;
+    console.warn(`📊 Branch managers not notified: ${err.message}`);
+    return { lead: updatedLead, notified: 0 };
+  }
+
+  return { lead: updatedLead, notified: managers.length };
+}
+
+// --- Assign agent + send them the lead with their secure link ---
+// `changedBy` / `channel` go into the status history; `requestedBy` (users.id)
+// is who gets alerted if the agent's SMS can't be delivered.
+// The lead is updated first, so it shows as assigned even if a notification
+// can't be queued; returns { lead, channels } with each channel's outcome.
+export async function assignLeadToAgent({ lead, agent, changedBy, channel, requestedBy }) {
+  // 🚦 Closed leads can't be handed out again (reassigning an open one is fine)
+  if (lead.status !== LEAD_STATUS.IN_PROGRESS) {
+    assertTransition(lead.status, LEAD_STATUS.IN_PROGRESS);
+  }
+
+  // 🔄 Update loan application with agent NAME + status + timestamp
+  const assignment = {
+    assigned_agent: agent.name,   // ✅ store name instead of UUID
+    assigned_time: new Date().toISOString()
+  };
+
+  let updatedLead;
+  if (lead.status === LEAD_STATUS.IN_PROGRESS) {
+    // Reassignment — status stays the same
+    const { data, error: updateError } = await supabase
+      .from("loan_applications")
+      .update(assignment)
+      .eq("id", lead.id)
+      .eq("status", LEAD_STATUS.IN_PROGRESS)
+      .select()
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (!data) throw httpError(409, "Lead status was changed by someone else, please refresh");
+    updatedLead = data;
+  } else {
+    updatedLead = await changeLeadStatus({
+      leadId: lead.id,
+      to: LEAD_STATUS.IN_PROGRESS,
+      changedBy,
+      channel,
+      fields: assignment,
+    });
+  }
+
+  // Round-robin routing picks whoever was assigned longest ago
+  const { error: agentError } = await supabase
+    .from("agents")
+    .update({ last_assigned_at: assignment.assigned_time })
+    .eq("id", agent.id);
+
+  if (agentError) console.error("❌ Failed to stamp agent assignment:", agentError.message);
+
+  await emitEvent(lead.company_name, "lead.assigned", {
+    lead_id: lead.id,
+    agent: { id: agent.id, name: agent.name },
+    branch: updatedLead.assigned_branch ?? null,
+    assigned_at: assignment.assigned_time,
+    assigned_by: changedBy || "system",
+  });
+
+  // 🔑 Generate secure token + link (revokes any link sent to a previous agent)
+  let issueLink;
+  try {
+    const token = await createIssueToken(lead.id, agent);
+    const { public_base_url } = await getCompanySettings(lead.company_name);
+    issueLink = `${public_base_url}/mark-issued/${token}`;
+  } catch (err) {
+    console.error(`❌ Lead ${lead.id} assigned but no link could be created:`, err.message);
+    const failed = { status: "failed", error: "Could not create the agent's link" };
+    return { lead: updatedLead, channels: { sms: failed, email: failed } };
+  }
+
+  // 📬 Queue SMS + email to the agent (the worker sends and retries)
+  const tracking = { purpose: "lead_assignment", requestedBy };
+  const channels = await enqueueEach([
+    {
+      ...tracking,
+      channel: "sms",
+      to: agent.phone,
+      leadId: lead.id,
+      companyName: lead.company_name,
+      body:
+`New lead assigned:
+
+${lead.title || ""} ${lead.first_name || ""} ${lead.surname || ""}
+Amount Requested: ${lead.amount_requested || ""} over ${lead.loan_term || ""} weeks
+Address: ${lead.address || ""}
+Town: ${lead.town || ""}
+Postcode: ${lead.postcode || ""}
+Best Time To Call: ${lead.best_call_time || ""}
+Phone Number: ${lead.phone_number || ""}
+
+Open lead & update status: ${issueLink}`,
+    },
+    {
+      // 📧 Email (includes issue link too)
+      ...tracking,
+      channel: "email",
+      to: agent.email,
+      leadId: lead.id,
+      companyName: lead.company_name,
+      subject: `New Lead Assigned - ${lead.first_name || ""} ${lead.surname || ""}`,
+      body:
+`New lead assigned:
+
+${lead.title || ""} ${lead.first_name || ""} ${lead.surname || ""}
+DOB: ${lead.dob || ""}
+Amount Requested: ${lead.amount_requested || ""} over ${lead.loan_term || ""} weeks
+Income: ${lead.income || ""}
+Address: ${lead.address || ""}
+Town: ${lead.town || ""}
+Postcode: ${lead.postcode || ""}
+Best Time To Call: ${lead.best_call_time || ""}
+Collection Method: ${lead.method_collection || ""}
+Phone Number: ${lead.phone_number || ""}
+
+➡️ Open lead & update status: ${issueLink}`,
+    },
+  ]);
+
+  return { lead: updatedLead, channels };
+}
@@ -0,0 +1,75 @@
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+import { userLimit } from "./rateLimit.js";
+
+// 👥 Roles stored on the `users` table
+export const ROLES = ["admin", "manager", "agent"];
+
+// 🔐 Validates the caller's Supabase JWT and loads their `users` row onto req.user
+export async function requireAuth(req, res, next) {
+  const [scheme, jwt] = (req.headers.authorization || "").split(" ");
+
+  if (scheme !== "Bearer" || !jwt) {
+    return res.status(401).json({ success: false, error: "Missing bearer token" });
+  }
+
+  try {
+    const { data, error } = await supabase.auth.getUser(jwt);
+
+    if (error || !data?.user) {
+      return res.status(401).json({ success: false, error: "Invalid or expired session" });
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from("users")
+      .select("id, email, phone, role, company_name, branch")
+      .eq("id", data.user.id)
+      .maybeSingle();
+
+    if (profileError) throw profileError;
+
+    if (!profile || !ROLES.includes(profile.role) || !profile.company_name) {
+      return res.status(403).json({ success: false, error: "No access for this account" });
+    }
+
+    req.user = profile;
+    userLimit(req, res, next); // 🚦 per-user rate limit on every signed-in route
+  } catch (err) {
+    console.error("❌ Error authenticating request:", err);
+    res.status(500).json({ success: false, error: "Authentication failed" });
+  }
+}
+
+// 🚦 Only lets the listed roles through (use after requireAuth)
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res.status(403).json({ success: false, error: "Insufficient permissions" });
+    }
+    next();
+  };
+}
+
+// 🏢 Admins see their whole company; managers and agents only their branch
+export function scopeToUser(query, user, branchColumn = "assigned_branch") {
+  let scoped = query.eq("company_name", user.company_name);
+  if (user.role !== "admin") {
+    scoped = scoped.eq(branchColumn, user.branch);
+  }
+  return scoped;
+}
+
+// 🔍 Loads a lead the caller is allowed to act on (404 otherwise, so ids don't leak)
+export async function loadScopedLead(user, leadId, columns = "*") {
+  if (!leadId) throw httpError(400, "Missing lead id");
+
+  const { data: lead, error } = await scopeToUser(
+    supabase.from("loan_applications").select(columns).eq("id", leadId),
+    user
+  ).maybeSingle();
+
+  if (error) throw error;
+  if (!lead) throw httpError(404, "Lead not found");
+
+  return lead;
+}
@@ -0,0 +1,305 @@
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+import { schedule } from "./scheduler.js";
+import { scopeToUser } from "./auth.js";
+import { validationError } from "./validation.js";
+import { LEAD_STATUS } from "./leadStatus.js";
+import { loadTemplates, sendTemplateToLead } from "./templateSends.js";
+
+// 🧺 Bulk jobs (`bulk_jobs`): CSV imports run inline and are recorded here;
+// bulk template sends get one `bulk_job_items` row per lead and are worked
+// through by the scheduler at a steady pace so the providers aren't flooded.
+
+const MAX_LEADS = Number(process.env.BULK_MAX_LEADS) || 1000;
+const SENDS_PER_MINUTE = Number(process.env.BULK_SENDS_PER_MINUTE) || 60;
+const POLL_MS = Number(process.env.BULK_JOB_POLL_MS) || 5000;
+const STUCK_AFTER_MS = 10 * 60 * 1000;
+
+// --- Jobs ---
+export async function createJob({ kind, companyName, createdBy, total, params }) {
+  const { data, error } = await supabase
+    .from("bulk_jobs")
+    .insert({
+      kind,
+      company_name: companyName,
+      created_by: createdBy,
+      total,
+      params,
+      status: "running",
+      started_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function finishJob(jobId, { succeeded, failed, skipped = 0, errors = null }) {
+  const { error } = await supabase
+    .from("bulk_jobs")
+    .update({
+      status: "completed",
+      processed: succeeded + failed + skipped,
+      succeeded,
+      failed,
+      skipped,
+      ...(errors && { errors }),
+      finished_at: new Date().toISOString(),
+    })
+    .eq("id", jobId);
+
+  if (error) throw error;
+}
+
+async function countItems(jobId, status) {
+  const { count, error } = await supabase
+    .from("bulk_job_items")
+    .select("id", { count: "exact", head: true })
+    .eq("job_id", jobId)
+    .eq("status", status);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Progress for one job in the caller's company
+export async function getJob(user, jobId) {
+  const { data: job, error } = await supabase
+    .from("bulk_jobs")
+    .select("*")
+    .eq("id", jobId)
+    .eq("company_name", user.company_name)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!job) throw httpError(404, "Job not found");
+  if (job.kind !== "send_template") return job;
+
+  // Send jobs count their items live while running
+  if (job.status === "running") {
+    const [sent, failed, skipped] = await Promise.all(
+      ["sent", "failed", "skipped"].map((status) => countItems(job.id, status))
+    );
+    Object.assign(job, { succeeded: sent, failed, skipped, processed: sent + failed + skipped });
+  }
+
+  const { data: problems, error: itemError } = await supabase
+    .from("bulk_job_items")
+    .select("lead_id, status, error")
+    .eq("job_id", job.id)
+    .in("status", ["failed", "skipped"])
+    .limit(200);
+
+  if (itemError) throw itemError;
+  return { ...job, errors: problems || [] };
+}
+
+// --- Bulk template sends ---
+const FILTER_FIELDS = ["status", "assigned_branch", "assigned_agent", "created_from", "created_to"];
+
+function checkSendRequest({ leadIds, filter }) {
+  const errors = [];
+
+  if (!leadIds && !filter) {
+    errors.push({ field: "lead_ids", message: "Send lead_ids or a filter" });
+  }
+  if (leadIds !== undefined) {
+    if (!Array.isArray(leadIds) || !leadIds.length || leadIds.some((id) => typeof id !== "string")) {
+      errors.push({ field: "lead_ids", message: "Must be a non-empty list of lead ids" });
+    } else if (leadIds.length > MAX_LEADS) {
+      errors.push({ field: "lead_ids", message: `At most ${MAX_LEADS} leads per job` });
+    }
+  }
+  if (filter !== undefined) {
+    if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+      errors.push({ field: "filter", message: "Must be an object" });
+    } else {
+      for (const field of Object.keys(filter)) {
+        if (!FILTER_FIELDS.includes(field)) errors.push({ field: `filter.${field}`, message: "Unknown filter" });
+      }
+      if (filter.status && !Object.values(LEAD_STATUS).includes(filter.status)) {
+        errors.push({ field: "filter.status", message: `Must be one of ${Object.values(LEAD_STATUS).join(", ")}` });
+      }
+      for (const field of ["created_from", "created_to"]) {
+        if (filter[field] && Number.isNaN(new Date(filter[field]).getTime())) {
+          errors.push({ field: `filter.${field}`, message: "Must be a date" });
+        }
+      }
+    }
+  }
+
+  if (errors.length) throw validationError(errors, "Invalid bulk send");
+}
+
+// Lead ids the job will cover, limited to what the caller can see
+async function resolveLeads(user, { leadIds, filter }) {
+  let query = scopeToUser(supabase.from("loan_applications").select("id"), user);
+
+  if (leadIds) {
+    query = query.in("id", leadIds);
+  } else {
+    if (filter.status === LEAD_STATUS.NEW) {
+      query = query.or(`status.is.null,status.eq.${LEAD_STATUS.NEW}`);
+    } else if (filter.status) {
+      query = query.eq("status", filter.status);
+    }
+    if (filter.assigned_branch) query = query.eq("assigned_branch", filter.assigned_branch);
+    if (filter.assigned_agent) query = query.eq("assigned_agent", filter.assigned_agent);
+    if (filter.created_from) query = query.gte("created_at", new Date(filter.created_from).toISOString());
+    if (filter.created_to) query = query.lt("created_at", new Date(filter.created_to).toISOString());
+  }
+
+  const { data, error } = await query.is("erased_at", null).limit(MAX_LEADS + 1);
+  if (error) throw error;
+
+  if (data.length > MAX_LEADS) {
+    throw validationError([{ field: "filter", message: `Matches more than ${MAX_LEADS} leads; narrow it down` }]);
+  }
+  return data.map((row) => row.id);
+}
+
+// Creates the job and its items; returns { job, notFound }
+export async function createBulkSendJob(user, { type, leadIds, filter }) {
+  checkSendRequest({ leadIds, filter });
+  await loadTemplates(user.company_name, type); // fail now, not per lead
+
+  const ids = await resolveLeads(user, { leadIds, filter });
+  const notFound = leadIds ? leadIds.filter((id) => !ids.includes(id)) : [];
+  if (!ids.length) throw httpError(404, "No leads matched");
+
+  const job = await createJob({
+    kind: "send_template",
+    companyName: user.company_name,
+    createdBy: user.email,
+    total: ids.length,
+    params: { type, lead_ids: leadIds ? leadIds.length : undefined, filter },
+  });
+
+  for (let i = 0; i < ids.length; i += 500) {
+    const { error } = await supabase
+      .from("bulk_job_items")
+      .insert(ids.slice(i, i + 500).map((leadId) => ({ job_id: job.id, lead_id: leadId })));
+    if (error) throw error;
+  }
+
+  console.log(`🧺 Bulk ${type} send ${job.id} queued for ${ids.length} lead(s)`);
+  return { job, notFound };
+}
+
+async function markItem(item, status, error = null) {
+  const { error: updateError } = await supabase
+    .from("bulk_job_items")
+    .update({ status, error, processed_at: new Date().toISOString() })
+    .eq("id", item.id);
+
+  if (updateError) console.error(`❌ Failed to update bulk item ${item.id}:`, updateError.message);
+}
+
+async function processItem(job, item, templates) {
+  const { data: lead, error } = await supabase
+    .from("loan_applications")
+    .select("*")
+    .eq("id", item.lead_id)
+    .eq("company_name", job.company_name)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!lead) return markItem(item, "failed", "Lead not found");
+
+  try {
+    const { channels } = await sendTemplateToLead({
+      lead,
+      type: job.params.type,
+      companyName: job.company_name,
+      changedBy: job.created_by,
+      templates,
+    });
+
+    const failed = Object.entries(channels).filter(([, result]) => result.status === "failed");
+    if (failed.length) {
+      await markItem(item, "failed", failed.map(([ch, result]) => `${ch}: ${result.error}`).join("; "));
+    } else {
+      await markItem(item, "sent");
+    }
+  } catch (err) {
+    // A lead that can't take this status (e.g. already Issued) is skipped, not failed
+    await markItem(item, err.status === 409 ? "skipped" : "failed", err.message);
+  }
+}
+
+// Closes jobs with nothing left to do
+async function completeJobs(jobIds) {
+  for (const jobId of jobIds) {
+    const [pending, processing] = await Promise.all([
+      countItems(jobId, "pending"),
+      countItems(jobId, "processing"),
+    ]);
+    if (pending || processing) continue;
+
+    const [succeeded, failed, skipped] = await Promise.all(
+      ["sent", "failed", "skipped"].map((status) => countItems(jobId, status))
+    );
+    await finishJob(jobId, { succeeded, failed, skipped });
+    console.log(`🧺 Bulk job ${jobId} finished: ${succeeded} sent, ${failed} failed, ${skipped} skipped`);
+  }
+}
+
+// 🔁 One paced slice of work across all running send jobs
+export async function runBulkJobs() {
+  // Items claimed by an instance that died mid-send: don't risk a double send
+  const { error: stuckError } = await supabase
+    .from("bulk_job_items")
+    .update({ status: "failed", error: "Interrupted", processed_at: new Date().toISOString() })
+    .eq("status", "processing")
+    .lt("claimed_at", new Date(Date.now() - STUCK_AFTER_MS).toISOString());
+  if (stuckError) throw stuckError;
+
+  const perTick = Math.max(1, Math.ceil((SENDS_PER_MINUTE * POLL_MS) / 60000));
+
+  const { data: items, error } = await supabase
+    .from("bulk_job_items")
+    .select("id, job_id, lead_id, bulk_jobs!inner(id, status, company_name, created_by, params)")
+    .eq("status", "pending")
+    .eq("bulk_jobs.status", "running")
+    .order("id", { ascending: true })
+    .limit(perTick);
+
+  if (error) throw error;
+  if (!items?.length) return;
+
+  const templatesByJob = new Map();
+  const touched = new Set();
+
+  for (const item of items) {
+    const job = item.bulk_jobs;
+
+    // Claim it so a second instance doesn't send it too
+    const { data: claimed, error: claimError } = await supabase
+      .from("bulk_job_items")
+      .update({ status: "processing", claimed_at: new Date().toISOString() })
+      .eq("id", item.id)
+      .eq("status", "pending")
+      .select("id");
+
+    if (claimError) throw claimError;
+    if (!claimed?.length) continue;
+    touched.add(job.id);
+
+    try {
+      if (!templatesByJob.has(job.id)) {
+        templatesByJob.set(job.id, await loadTemplates(job.company_name, job.params.type));
+      }
+      await processItem(job, item, templatesByJob.get(job.id));
+    } catch (err) {
+      console.error(`❌ Bulk item ${item.id} failed:`, err.message);
+      await markItem(item, "failed", err.message);
+    }
+  }
+
+  await completeJobs(touched);
+}
+
+export function startBulkJobWorker() {
+  return schedule("bulk-jobs", POLL_MS, runBulkJobs);
+}
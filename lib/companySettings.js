@@ -0,0 +1,134 @@
+import { supabase } from "./supabase.js";
+import { normalisePhone } from "./validation.js";
+
+// 🎨 Per-company sender identity and branding (`company_settings`). Anything a
+// company hasn't set falls back to the platform defaults from the environment.
+
+export const DEFAULT_COMPANY_SETTINGS = {
+  sender_email: process.env.NOTIFY_FROM_EMAIL || "info@handy-digital.com",
+  sender_name: process.env.NOTIFY_FROM_NAME || null,
+  sms_from: process.env.TWILIO_NUMBER || null,
+  dashboard_url: process.env.DASHBOARD_URL || "https://handy-digital-leads.co.uk",
+  public_base_url: process.env.PUBLIC_BASE_URL || "https://bankbot-leads.onrender.com",
+  logo_url: null,
+  primary_color: "#2563eb",
+  accent_color: "#1e40af",
+};
+
+export const COMPANY_SETTING_FIELDS = Object.keys(DEFAULT_COMPANY_SETTINGS);
+
+// Settings are read for every message the worker sends, so keep them briefly
+const CACHE_MS = 60 * 1000;
+const cache = new Map();
+
+export async function getCompanySettings(companyName) {
+  if (!companyName) return { ...DEFAULT_COMPANY_SETTINGS };
+
+  const cached = cache.get(companyName);
+  if (cached && cached.expires > Date.now()) return cached.settings;
+
+  const { data, error } = await supabase
+    .from("company_settings")
+    .select(COMPANY_SETTING_FIELDS.join(", "))
+    .eq("company_name", companyName)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  // Unset (null) columns keep the default
+  const settings = { ...DEFAULT_COMPANY_SETTINGS };
+  for (const [field, value] of Object.entries(data || {})) {
+    if (value !== null && value !== "") settings[field] = value;
+  }
+
+  cache.set(companyName, { settings, expires: Date.now() + CACHE_MS });
+  return settings;
+}
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const COLOR = /^#[0-9a-f]{6}$/i;
+// Alphanumeric sender ID: up to 11 letters/digits/spaces, at least one letter
+const SENDER_ID = /^(?=.*[A-Za-z])[A-Za-z0-9 ]{1,11}$/;
+
+// https only (plain http is allowed for localhost while developing)
+function isUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.hostname === "localhost";
+  } catch {
+    return false;
+  }
+}
+
+// Field-level problems for settings about to be saved (null clears a field)
+export function validateCompanySettings(settings) {
+  const errors = [];
+  const set = (field) => settings[field] !== undefined && settings[field] !== null;
+
+  for (const field of Object.keys(settings)) {
+    if (!COMPANY_SETTING_FIELDS.includes(field)) {
+      errors.push({ field, message: "Unknown setting" });
+    }
+  }
+  if (set("sender_email") && !EMAIL.test(settings.sender_email)) {
+    errors.push({ field: "sender_email", message: "Must be a valid email address" });
+  }
+  if (set("sender_name") && (typeof settings.sender_name !== "string" || settings.sender_name.length > 100)) {
+    errors.push({ field: "sender_name", message: "Must be text of 100 characters or fewer" });
+  }
+  if (set("sms_from") && !normalisePhone(settings.sms_from) && !SENDER_ID.test(settings.sms_from)) {
+    errors.push({
+      field: "sms_from",
+      message: "Must be a phone number or an alphanumeric sender ID (up to 11 characters)",
+    });
+  }
+  for (const field of ["dashboard_url", "public_base_url"]) {
+    if (set(field) && !isUrl(settings[field])) {
+      errors.push({ field, message: "Must be an https URL" });
+    }
+  }
+  if (set("logo_url") && !isUrl(settings.logo_url)) {
+    errors.push({ field: "logo_url", message: "Must be an https URL" });
+  }
+  for (const field of ["primary_color", "accent_color"]) {
+    if (set(field) && !COLOR.test(settings[field])) {
+      errors.push({ field, message: "Must be a hex colour like #2563eb" });
+    }
+  }
+  return errors;
+}
+
+export async function saveCompanySettings(companyName, settings, updatedBy) {
+  const clean = { ...settings };
+  if (clean.sms_from && normalisePhone(clean.sms_from)) clean.sms_from = normalisePhone(clean.sms_from);
+
+  // URLs go into links and the agent pages as-is, so store the parsed form;
+  // base URLs are joined with paths, so drop any trailing slash
+  for (const field of ["dashboard_url", "public_base_url", "logo_url"]) {
+    if (clean[field]) clean[field] = new URL(clean[field]).href;
+  }
+  for (const field of ["dashboard_url", "public_base_url"]) {
+    if (clean[field]) clean[field] = clean[field].replace(/\/+$/, "");
+  }
+
+  const { error } = await supabase.from("company_settings").upsert(
+    {
+      company_name: companyName,
+      ...clean,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "company_name" }
+  );
+
+  if (error) throw error;
+  cache.delete(companyName);
+  return getCompanySettings(companyName);
+}
+
+// "Acme Loans <hello@acme.co.uk>" as SendGrid wants it
+export function senderAddress(settings) {
+  return settings.sender_name
+    ? { email: settings.sender_email, name: settings.sender_name }
+    : settings.sender_email;
+}
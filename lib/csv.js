@@ -0,0 +1,62 @@
+// 📄 Minimal CSV helpers (RFC 4180 quoting)
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of flat objects → CSV text; columns default to the first row's keys
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  const lines = [columns.map(escapeCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// CSV text → array of rows (arrays of cells). Handles quoted cells with
+// commas, "" escapes and line breaks, CRLF endings and a leading BOM.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = String(text || "").replace(/^﻿/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
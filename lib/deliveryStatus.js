@@ -0,0 +1,134 @@
+import { supabase } from "./supabase.js";
+import { enqueueMessages } from "./messageQueue.js";
+
+// 📬 Delivery updates from Twilio status callbacks and the SendGrid Event
+// Webhook. Each update lands on the `messages` row (delivery_status) and in
+// `message_delivery_events`; a failed lead-assignment SMS alerts whoever assigned it.
+
+export const DELIVERY_STATUS = ["queued", "sent", "delivered", "failed", "bounced", "opened"];
+
+// Later states win; late or out-of-order callbacks never move a message backwards
+const RANK = { queued: 1, sent: 2, delivered: 3, failed: 3, bounced: 3, opened: 4 };
+
+const TWILIO_STATUSES = {
+  accepted: "queued",
+  scheduled: "queued",
+  queued: "queued",
+  sending: "sent",
+  sent: "sent",
+  delivered: "delivered",
+  read: "opened",
+  undelivered: "failed",
+  failed: "failed",
+};
+
+const SENDGRID_EVENTS = {
+  processed: "queued",
+  deferred: "queued",
+  delivered: "delivered",
+  open: "opened",
+  click: "opened",
+  bounce: "bounced",
+  dropped: "failed",
+  spamreport: "failed",
+};
+
+export const mapTwilioStatus = (status) => TWILIO_STATUSES[status] || null;
+export const mapSendgridEvent = (event) => SENDGRID_EVENTS[event] || null;
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Our own message id first (sent with the message, so it's there even when the
+// callback beats the provider id being stored), then the provider's id
+async function findMessage({ messageId, providerId }) {
+  const columns = "id, channel, recipient, lead_id, company_name, purpose, requested_by, delivery_status";
+
+  for (const [column, value] of [["id", messageId], ["provider_id", providerId]]) {
+    if (!value || (column === "id" && !UUID.test(value))) continue;
+    const { data, error } = await supabase.from("messages").select(columns).eq(column, value).maybeSingle();
+    if (error) throw error;
+    if (data) return data;
+  }
+  return null;
+}
+
+// 🚨 Tell whoever assigned the lead that the agent never got the SMS or email
+export async function alertAssigner(message, errorCode) {
+  let recipients;
+
+  if (message.requested_by) {
+    const { data, error } = await supabase
+      .from("users")
+      .select("email, phone")
+      .eq("id", message.requested_by);
+    if (error) throw error;
+    recipients = data;
+  } else {
+    // Auto-routed: nobody clicked assign, so tell the company's admins
+    const { data, error } = await supabase
+      .from("users")
+      .select("email, phone")
+      .eq("company_name", message.company_name)
+      .eq("role", "admin")
+      .eq("lead_notifications", true);
+    if (error) throw error;
+    recipients = data;
+  }
+
+  const channel = message.channel === "sms" ? "SMS" : "email";
+  const body = `⚠️ The lead assignment ${channel} to ${message.recipient} could not be delivered${
+    errorCode ? ` (error ${errorCode})` : ""
+  }. Please contact the agent directly or reassign the lead.`;
+
+  await enqueueMessages((recipients || []).flatMap((user) => [
+    { channel: "email", to: user.email, subject: `Lead assignment ${channel} failed`, body },
+    { channel: "sms", to: user.phone, body },
+  ]).map((m) => ({
+    ...m,
+    leadId: message.lead_id,
+    companyName: message.company_name,
+    purpose: "delivery_alert",
+  })));
+}
+
+// Records one provider event; returns false when the message isn't ours
+export async function applyDeliveryEvent({ provider, messageId, providerId, status, errorCode, event, raw }) {
+  const message = await findMessage({ messageId, providerId });
+  if (!message) return false;
+
+  const { error: eventError } = await supabase.from("message_delivery_events").insert({
+    message_id: message.id,
+    provider,
+    event,
+    status,
+    error_code: errorCode ? String(errorCode) : null,
+    payload: raw,
+  });
+  if (eventError) console.error("❌ Failed to store delivery event:", eventError.message);
+
+  if (!status || (RANK[message.delivery_status] || 0) > RANK[status]) return true;
+  if (message.delivery_status === status) return true;
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from("messages")
+    .update({
+      delivery_status: status,
+      delivery_error_code: errorCode ? String(errorCode) : null,
+      delivery_updated_at: now,
+      ...(status === "delivered" && { delivered_at: now }),
+      ...(status === "opened" && { opened_at: now }),
+    })
+    .eq("id", message.id);
+  if (error) throw error;
+
+  if (
+    ["failed", "bounced"].includes(status) &&
+    message.channel === "sms" &&
+    message.purpose === "lead_assignment"
+  ) {
+    await alertAssigner(message, errorCode);
+  }
+
+  return true;
+}
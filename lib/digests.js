@@ -0,0 +1,153 @@
+import { supabase } from "./supabase.js";
+import { schedule } from "./scheduler.js";
+import { enqueueMessages } from "./messageQueue.js";
+import { runReport } from "./analytics.js";
+import { LEAD_STATUS } from "./leadStatus.js";
+import { getCompanySettings } from "./companySettings.js";
+
+// 📰 Daily / weekly digest emails. Users pick `digest_frequency` on their
+// `users` row; turning off `lead_notifications` as well swaps per-lead alerts
+// for the digest. Admins get their company, managers their branch.
+
+export const DIGEST_FREQUENCIES = ["none", "daily", "weekly"];
+
+const DIGEST_HOUR_UTC = Number(process.env.DIGEST_HOUR_UTC ?? 7);
+const DAY = 24 * 60 * 60 * 1000;
+
+// Period that the digest due at `now` should cover, or null if not due yet
+export function digestPeriod(frequency, now = new Date()) {
+  if (now.getUTCHours() < DIGEST_HOUR_UTC) return null;
+
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  if (frequency === "daily") {
+    return { from: new Date(today - DAY), to: new Date(today) };
+  }
+  if (frequency === "weekly" && now.getUTCDay() === 1) {
+    return { from: new Date(today - 7 * DAY), to: new Date(today) };
+  }
+  return null;
+}
+
+// Only one digest per user per period, even with several instances running
+async function claimDigest(user, frequency, period) {
+  const { error } = await supabase.from("digest_runs").insert({
+    user_id: user.id,
+    frequency,
+    period_start: period.from.toISOString(),
+  });
+
+  if (error?.code === "23505") return false;
+  if (error) throw error;
+  return true;
+}
+
+async function countLeads(user, build) {
+  let query = supabase
+    .from("loan_applications")
+    .select("id", { count: "exact", head: true })
+    .eq("company_name", user.company_name);
+
+  if (user.role === "manager") query = query.eq("assigned_branch", user.branch);
+
+  const { count, error } = await build(query);
+  if (error) throw error;
+  return count || 0;
+}
+
+// Numbers for one user's scope over the period
+export async function buildDigestSummary(user, { from, to }) {
+  const range = (column) => (q) => q.gte(column, from.toISOString()).lt(column, to.toISOString());
+
+  const [newLeads, assigned, issued, declined, unactioned, tti] = await Promise.all([
+    countLeads(user, range("created_at")),
+    countLeads(user, range("assigned_time")),
+    countLeads(user, range("issued_time")),
+    countLeads(user, range("declined_time")),
+    countLeads(user, (q) => q.or(`status.is.null,status.eq.${LEAD_STATUS.NEW}`)),
+    runReport("tti", {
+      companyName: user.company_name,
+      branch: user.role === "manager" ? user.branch : null,
+      from,
+      to,
+      groupBy: "overall",
+    }),
+  ]);
+
+  return {
+    newLeads,
+    assigned,
+    issued,
+    declined,
+    unactioned,
+    avgTti: tti[0]?.mean_tti || "n/a",
+  };
+}
+
+function digestText(user, frequency, period, summary, dashboardUrl) {
+  const scope = user.role === "manager" ? `branch ${user.branch}` : user.company_name;
+  const day = (d) => d.toISOString().slice(0, 10);
+
+  return `Your ${frequency} lead summary for ${scope}
+${day(period.from)} to ${day(new Date(period.to - 1))}
+
+New leads: ${summary.newLeads}
+Assigned: ${summary.assigned}
+Issued: ${summary.issued}
+Declined: ${summary.declined}
+Unactioned (not yet assigned): ${summary.unactioned}
+Average time to issue: ${summary.avgTti}
+
+View full details: ${dashboardUrl}`;
+}
+
+// 🔁 Sends whatever digests are due right now
+export async function runDigests(now = new Date()) {
+  const { data: users, error } = await supabase
+    .from("users")
+    .select("id, email, role, company_name, branch, digest_frequency")
+    .in("digest_frequency", ["daily", "weekly"])
+    .in("role", ["admin", "manager"]);
+
+  if (error) throw error;
+
+  for (const user of users || []) {
+    const period = digestPeriod(user.digest_frequency, now);
+    if (!period || !user.email) continue;
+
+    let claimed = false;
+    try {
+      claimed = await claimDigest(user, user.digest_frequency, period);
+      if (!claimed) continue;
+
+      const summary = await buildDigestSummary(user, period);
+      const { dashboard_url } = await getCompanySettings(user.company_name);
+      await enqueueMessages([
+        {
+          channel: "email",
+          to: user.email,
+          companyName: user.company_name,
+          subject: `Your ${user.digest_frequency} lead summary - ${user.company_name}`,
+          body: digestText(user, user.digest_frequency, period, summary, dashboard_url),
+        },
+      ]);
+      console.log(`📰 Queued ${user.digest_frequency} digest for user ${user.id}`);
+    } catch (err) {
+      console.error(`❌ Digest failed for user ${user.id}:`, err.message);
+      // Release the claim so the next pass tries again
+      if (claimed) {
+        await supabase
+          .from("digest_runs")
+          .delete()
+          .eq("user_id", user.id)
+          .eq("frequency", user.digest_frequency)
+          .eq("period_start", period.from.toISOString());
+      }
+    }
+  }
+}
+
+export function startDigestScheduler() {
+  const interval = Number(process.env.DIGEST_CHECK_MS) || 15 * 60 * 1000;
+  return schedule("digests", interval, runDigests);
+}
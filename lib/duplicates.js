@@ -0,0 +1,219 @@
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+import { scopeToUser } from "./auth.js";
+import { normalisePhone, normalisePostcode, phoneVariants } from "./validation.js";
+import { LEAD_STATUS, canTransition, changeLeadStatus } from "./leadStatus.js";
+
+// 🔁 Repeat-applicant detection. New leads are scored against the company's
+// recent `loan_applications`; likely matches are stored as pairs in
+// `lead_duplicates` for a manager to merge or dismiss.
+
+const WINDOW_DAYS = Number(process.env.DUPLICATE_WINDOW_DAYS) || 90;
+const MIN_SCORE = Number(process.env.DUPLICATE_MIN_SCORE) || 50;
+
+// Points per matching field (capped at 100)
+const WEIGHTS = {
+  phone: 50,
+  email: 50,
+  dob: 25,
+  postcode: 15,
+  surname: 10,
+};
+
+// Fields copied onto the kept lead on merge when it has none of its own
+const MERGE_FIELDS = [
+  "email",
+  "phone_number",
+  "dob",
+  "address",
+  "town",
+  "postcode",
+  "income",
+  "best_call_time",
+  "preferred_call_time",
+];
+
+const clean = (v) => String(v ?? "").trim().toLowerCase();
+
+// DOBs arrive as "1990-01-31", "31/01/1990" or full timestamps → "1990-01-31"
+function normaliseDob(raw) {
+  const text = String(raw ?? "").trim();
+  const uk = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (uk) return `${uk[3]}-${uk[2].padStart(2, "0")}-${uk[1].padStart(2, "0")}`;
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return iso ? iso[0] : null;
+}
+
+// Comparable form of the fields we match on
+function fingerprint(lead) {
+  return {
+    phone: normalisePhone(lead.phone_number),
+    email: clean(lead.email) || null,
+    dob: normaliseDob(lead.dob),
+    postcode: normalisePostcode(lead.postcode),
+    surname: clean(lead.surname) || null,
+  };
+}
+
+// { score, reasons } for a pair of leads
+export function scoreMatch(a, b) {
+  const fa = fingerprint(a);
+  const fb = fingerprint(b);
+  const reasons = Object.keys(WEIGHTS).filter((field) => fa[field] && fa[field] === fb[field]);
+  const score = Math.min(100, reasons.reduce((sum, field) => sum + WEIGHTS[field], 0));
+  return { score, reasons };
+}
+
+// Older rows may pre-date normalisation, so search on the stored variants too
+function candidateFilter(lead) {
+  const { phone, email, postcode } = fingerprint(lead);
+  const quote = (values) => values.map((v) => `"${v}"`).join(",");
+  const filters = [];
+
+  if (phone) filters.push(`phone_number.in.(${quote(phoneVariants(phone))})`);
+  // ilike for case; a stray "_" wildcard only widens the search, scoring is exact
+  if (email) filters.push(`email.ilike."${email.replace(/[%*,()"\\]/g, "")}"`);
+  if (postcode) filters.push(`postcode.in.(${quote([postcode, postcode.replace(" ", "")])})`);
+
+  return filters.join(",");
+}
+
+// Likely earlier applications by the same customer, best match first
+export async function findDuplicates(lead) {
+  const filter = candidateFilter(lead);
+  if (!filter) return [];
+
+  const since = new Date(Date.now() - WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  let query = supabase
+    .from("loan_applications")
+    .select("id, first_name, surname, email, phone_number, dob, postcode, status, created_at")
+    .eq("company_name", lead.company_name)
+    .gte("created_at", since)
+    .or(filter)
+    .order("created_at", { ascending: false })
+    .limit(50);
+
+  if (lead.id) query = query.neq("id", lead.id);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || [])
+    .map((candidate) => ({ lead: candidate, ...scoreMatch(lead, candidate) }))
+    .filter((match) => match.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Runs on /lead-created: stores the pairs and returns the matches
+export async function detectDuplicates(lead) {
+  const matches = await findDuplicates(lead);
+  if (!matches.length || !lead.id) return matches;
+
+  const { error } = await supabase.from("lead_duplicates").upsert(
+    matches.map((match) => ({
+      company_name: lead.company_name,
+      lead_id: lead.id,
+      duplicate_of: match.lead.id,
+      score: match.score,
+      reasons: match.reasons,
+    })),
+    { onConflict: "lead_id,duplicate_of", ignoreDuplicates: true }
+  );
+  if (error) throw error;
+
+  console.log(`🔁 Lead ${lead.id} looks like ${matches.length} earlier application(s)`);
+  return matches;
+}
+
+// --- Review ---
+// Open pairs the caller can see (both leads in their scope), with lead summaries
+export async function listDuplicates(user) {
+  const { data: pairs, error } = await supabase
+    .from("lead_duplicates")
+    .select("*")
+    .eq("company_name", user.company_name)
+    .eq("status", "open")
+    .order("created_at", { ascending: false })
+    .limit(200);
+
+  if (error) throw error;
+  if (!pairs?.length) return [];
+
+  const ids = [...new Set(pairs.flatMap((p) => [p.lead_id, p.duplicate_of]))];
+  const { data: leads, error: leadError } = await scopeToUser(
+    supabase
+      .from("loan_applications")
+      .select("id, first_name, surname, email, phone_number, postcode, status, created_at")
+      .in("id", ids),
+    user
+  );
+
+  if (leadError) throw leadError;
+  const byId = new Map((leads || []).map((lead) => [lead.id, lead]));
+
+  return pairs
+    .filter((p) => byId.has(p.lead_id) && byId.has(p.duplicate_of))
+    .map((p) => ({ ...p, lead: byId.get(p.lead_id), duplicate: byId.get(p.duplicate_of) }));
+}
+
+export async function loadDuplicate(user, id) {
+  const { data, error } = await supabase
+    .from("lead_duplicates")
+    .select("*")
+    .eq("id", id)
+    .eq("company_name", user.company_name)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, "Duplicate not found");
+  if (data.status !== "open") throw httpError(409, `Duplicate already ${data.status}`);
+  return data;
+}
+
+async function closePair(pair, status, resolvedBy) {
+  const { data, error } = await supabase
+    .from("lead_duplicates")
+    .update({ status, resolved_by: resolvedBy, resolved_at: new Date().toISOString() })
+    .eq("id", pair.id)
+    .eq("status", "open")
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(409, "Duplicate was resolved by someone else");
+  return data;
+}
+
+export function dismissDuplicate(pair, resolvedBy) {
+  return closePair(pair, "dismissed", resolvedBy);
+}
+
+// Keeps `kept`, fills its blanks from `merged`, and closes `merged` as a repeat
+export async function mergeDuplicate(pair, { kept, merged, resolvedBy }) {
+  const closed = await closePair(pair, "merged", resolvedBy);
+
+  const fill = Object.fromEntries(
+    MERGE_FIELDS.filter((field) => !kept[field] && merged[field]).map((field) => [field, merged[field]])
+  );
+  if (Object.keys(fill).length) {
+    const { error } = await supabase.from("loan_applications").update(fill).eq("id", kept.id);
+    if (error) throw error;
+  }
+
+  const { error: linkError } = await supabase
+    .from("loan_applications")
+    .update({ merged_into: kept.id })
+    .eq("id", merged.id);
+  if (linkError) throw linkError;
+
+  if (canTransition(merged.status, LEAD_STATUS.NO_LONGER_NEEDED)) {
+    await changeLeadStatus({
+      leadId: merged.id,
+      to: LEAD_STATUS.NO_LONGER_NEEDED,
+      changedBy: resolvedBy,
+      channel: "merge",
+    });
+  }
+
+  return { ...closed, kept: kept.id, merged: merged.id, filled: Object.keys(fill) };
+}
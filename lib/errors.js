@@ -0,0 +1,15 @@
+// Error carrying an HTTP status, so route catch blocks can answer with it
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// JSON body for a failed request; validation errors also list their fields
+export function errorBody(err) {
+  return {
+    success: false,
+    error: err.message,
+    ...(err.errors && { errors: err.errors }),
+  };
+}
@@ -0,0 +1,512 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import axios from "axios";
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+import { schedule } from "./scheduler.js";
+import { hmacHex } from "./webhooks.js";
+import { webhookDeliveries } from "./metrics.js";
+
+// 📤 Outbound event webhooks: companies subscribe a URL to lead events and we
+// POST them a signed JSON body. Every event becomes one `webhook_deliveries`
+// row per subscription; the worker sends it and retries with backoff, and the
+// row doubles as the delivery log. Delivery is at-least-once, so receivers
+// should de-duplicate on X-Webhook-Id (the event id, kept on redeliveries).
+//
+// Signature: X-Webhook-Signature = hex HMAC-SHA256 of `${timestamp}.${body}`
+// with the subscription secret, timestamp in X-Webhook-Timestamp (unix seconds)
+// — the same scheme we accept on /lead-created.
+
+export const WEBHOOK_EVENTS = [
+  "lead.created",
+  "lead.assigned",
+  "branch.assigned",
+  "lead.status_changed",
+  "call.completed",
+  "open_banking.completed",
+];
+
+// Minutes to wait before each retry; a delivery gets one try plus these
+const BACKOFF_MINUTES = [1, 5, 15, 60, 180, 360, 720];
+const MAX_ATTEMPTS = BACKOFF_MINUTES.length + 1;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const BATCH_SIZE = 20;
+const STUCK_AFTER_MS = 5 * 60 * 1000;
+const LOG_RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_DAYS) || 30;
+const MAX_SUBSCRIPTIONS = 20;
+
+// What a lead looks like in event payloads
+const LEAD_EVENT_FIELDS = [
+  "id",
+  "created_at",
+  "status",
+  "title",
+  "first_name",
+  "surname",
+  "dob",
+  "email",
+  "phone_number",
+  "address",
+  "town",
+  "postcode",
+  "amount_requested",
+  "loan_term",
+  "income",
+  "reason_for_borrowing",
+  "best_call_time",
+  "method_collection",
+  "assigned_branch",
+  "assigned_agent",
+];
+
+export function leadSnapshot(lead) {
+  return Object.fromEntries(LEAD_EVENT_FIELDS.map((field) => [field, lead[field] ?? null]));
+}
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+// --- Address checks ---
+// Endpoints must be on the public internet: a tenant could otherwise point a
+// webhook at our own network and read the replies. Checked on save for literal
+// addresses, and again on every send against what the hostname resolves to.
+// WEBHOOK_ALLOW_PRIVATE=true turns this off for local development.
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved + broadcast
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+export function isPrivateAddress(address) {
+  const ip = String(address).replace(/^\[|\]$/g, "");
+  const family = net.isIP(ip);
+  if (!family) return false;
+  if (family === 4) return PRIVATE_RANGES.check(ip, "ipv4");
+
+  // IPv4-mapped (::ffff:10.0.0.1) is really the IPv4 address
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], "ipv4");
+  if (/^::ffff:/i.test(ip)) {
+    const [hi, lo] = ip.slice(7).split(":").map((part) => parseInt(part, 16));
+    return PRIVATE_RANGES.check(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`, "ipv4");
+  }
+  return PRIVATE_RANGES.check(ip, "ipv6");
+}
+
+// dns.lookup that refuses to hand back a private address, so the socket can
+// only ever connect to the address that was checked
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to a private address`);
+      error.code = "EPRIVATEADDRESS";
+      return callback(error);
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// --- Subscriptions ---
+function checkUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw));
+  } catch {
+    return "Must be a valid URL";
+  }
+
+  if (process.env.NODE_ENV === "production" && url.protocol !== "https:") return "Must be an https:// URL";
+  if (!["https:", "http:"].includes(url.protocol)) return "Must be an http(s) URL";
+  if (!ALLOW_PRIVATE && (/^localhost\.?$/i.test(url.hostname) || isPrivateAddress(url.hostname))) {
+    return "Must be a public address";
+  }
+  return null;
+}
+
+// Returns { value, errors } in the usual { field, message } shape.
+// `partial` is for updates, where omitted fields are left alone.
+export function validateSubscription(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (input.url !== undefined || !partial) {
+    const problem = input.url ? checkUrl(input.url) : "URL is required";
+    if (problem) errors.push({ field: "url", message: problem });
+    else value.url = String(input.url);
+  }
+
+  if (input.events !== undefined || !partial) {
+    const events = input.events;
+    if (!Array.isArray(events) || !events.length) {
+      errors.push({ field: "events", message: `Pick at least one of ${WEBHOOK_EVENTS.join(", ")}` });
+    } else {
+      const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+      if (unknown.length) errors.push({ field: "events", message: `Unknown event(s): ${unknown.join(", ")}` });
+      else value.events = [...new Set(events)];
+    }
+  }
+
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== "string") {
+      errors.push({ field: "description", message: "Must be text" });
+    } else {
+      value.description = input.description ? input.description.slice(0, 200) : null;
+    }
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== "boolean") errors.push({ field: "active", message: "Must be true or false" });
+    else value.active = input.active;
+  }
+
+  return { value, errors };
+}
+
+// Secrets are only ever shown on create / rotate
+const SUBSCRIPTION_COLUMNS = "id, url, events, description, active, created_by, created_at, updated_at";
+
+export async function listSubscriptions(companyName) {
+  const { data, error } = await supabase
+    .from("webhook_subscriptions")
+    .select(SUBSCRIPTION_COLUMNS)
+    .eq("company_name", companyName)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function loadSubscription(companyName, id) {
+  const { data, error } = await supabase
+    .from("webhook_subscriptions")
+    .select(`${SUBSCRIPTION_COLUMNS}, secret`)
+    .eq("id", id)
+    .eq("company_name", companyName)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, "Webhook not found");
+  return data;
+}
+
+export async function createSubscription(companyName, value, createdBy) {
+  const { count, error: countError } = await supabase
+    .from("webhook_subscriptions")
+    .select("id", { count: "exact", head: true })
+    .eq("company_name", companyName);
+
+  if (countError) throw countError;
+  if (count >= MAX_SUBSCRIPTIONS) throw httpError(409, `At most ${MAX_SUBSCRIPTIONS} webhooks per company`);
+
+  const { data, error } = await supabase
+    .from("webhook_subscriptions")
+    .insert({ ...value, company_name: companyName, secret: newSecret(), created_by: createdBy })
+    .select(`${SUBSCRIPTION_COLUMNS}, secret`)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function updateSubscription(companyName, id, value) {
+  const { data, error } = await supabase
+    .from("webhook_subscriptions")
+    .update({ ...value, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("company_name", companyName)
+    .select(SUBSCRIPTION_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, "Webhook not found");
+  return data;
+}
+
+export async function rotateSecret(companyName, id) {
+  const { data, error } = await supabase
+    .from("webhook_subscriptions")
+    .update({ secret: newSecret(), updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("company_name", companyName)
+    .select(`${SUBSCRIPTION_COLUMNS}, secret`)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, "Webhook not found");
+  return data;
+}
+
+// --- Emitting ---
+async function queueDeliveries(subscriptions, payload, leadId, extra = {}) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("webhook_deliveries")
+    .insert(
+      subscriptions.map((sub) => ({
+        subscription_id: sub.id,
+        company_name: payload.company,
+        event: payload.type,
+        event_id: payload.id,
+        lead_id: leadId || null,
+        payload,
+        status: "pending",
+        next_attempt_at: now,
+        ...extra,
+      }))
+    )
+    .select("id, subscription_id, event, event_id, status, created_at");
+
+  if (error) throw error;
+  return data;
+}
+
+// Queues `event` for every active subscription that wants it. Never throws:
+// a client's webhook must not break the flow that raised the event.
+export async function emitEvent(companyName, event, data) {
+  if (!companyName) return 0;
+
+  try {
+    const { data: subscriptions, error } = await supabase
+      .from("webhook_subscriptions")
+      .select("id")
+      .eq("company_name", companyName)
+      .eq("active", true)
+      .contains("events", [event]);
+
+    if (error) throw error;
+    if (!subscriptions?.length) return 0;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type: event,
+      created_at: new Date().toISOString(),
+      company: companyName,
+      data,
+    };
+    await queueDeliveries(subscriptions, payload, data.lead_id);
+    return subscriptions.length;
+  } catch (err) {
+    console.error(`❌ Failed to queue ${event} webhooks:`, err.message);
+    return 0;
+  }
+}
+
+// A "ping" to one subscription, so a client can check their endpoint + signature code
+export async function sendTestEvent(companyName, subscriptionId) {
+  const subscription = await loadSubscription(companyName, subscriptionId);
+  const [delivery] = await queueDeliveries([subscription], {
+    id: crypto.randomUUID(),
+    type: "ping",
+    created_at: new Date().toISOString(),
+    company: companyName,
+    data: { message: "Webhook test", subscription_id: subscription.id },
+  });
+  return delivery;
+}
+
+// --- Delivery log ---
+const DELIVERY_COLUMNS =
+  "id, subscription_id, event, event_id, lead_id, status, attempts, next_attempt_at, last_attempt_at, response_status, error, redelivery_of, created_at, delivered_at";
+
+// ?subscription_id=&event=&status=&lead_id=, newest first
+export async function listDeliveries(companyName, filters = {}) {
+  let query = supabase
+    .from("webhook_deliveries")
+    .select(DELIVERY_COLUMNS)
+    .eq("company_name", companyName)
+    .order("created_at", { ascending: false })
+    .limit(Math.min(Number(filters.limit) || 100, 500));
+
+  for (const field of ["subscription_id", "event", "status", "lead_id"]) {
+    if (filters[field]) query = query.eq(field, filters[field]);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+export async function loadDelivery(companyName, id) {
+  const { data, error } = await supabase
+    .from("webhook_deliveries")
+    .select(`${DELIVERY_COLUMNS}, payload, response_body`)
+    .eq("id", id)
+    .eq("company_name", companyName)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, "Delivery not found");
+  return data;
+}
+
+// Sends the same event (same id + payload) again as a new delivery
+export async function redeliver(companyName, id) {
+  const original = await loadDelivery(companyName, id);
+  const subscription = await loadSubscription(companyName, original.subscription_id);
+  if (!subscription.active) throw httpError(409, "Webhook is disabled");
+
+  const [delivery] = await queueDeliveries([subscription], original.payload, original.lead_id, {
+    redelivery_of: original.id,
+  });
+  return delivery;
+}
+
+// --- Worker ---
+async function post(subscription, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  // Literal IPs never go through the lookup, so they're checked here
+  const problem = checkUrl(subscription.url);
+  if (problem) return { ok: false, status: null, body: null, error: problem };
+
+  try {
+    const resp = await axios.post(subscription.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "BankBot-Webhooks/1.0",
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": hmacHex(subscription.secret, `${timestamp}.${body}`),
+      },
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: "text",
+      transformResponse: (data) => data,
+      validateStatus: () => true,
+      ...(!ALLOW_PRIVATE && { httpAgent, httpsAgent, proxy: false }),
+    });
+
+    // Only a successful reply is kept; error pages stay out of the delivery log
+    const ok = resp.status >= 200 && resp.status < 300;
+    return {
+      ok,
+      status: resp.status,
+      body: ok ? String(resp.data ?? "").slice(0, 2000) : null,
+      error: ok ? null : `HTTP ${resp.status}`,
+    };
+  } catch (err) {
+    return { ok: false, status: null, body: null, error: err.code || err.message };
+  }
+}
+
+async function attempt(delivery) {
+  const subscription = delivery.webhook_subscriptions;
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+
+  // Claim it so a second instance doesn't send it too
+  const { data: claimed, error: claimError } = await supabase
+    .from("webhook_deliveries")
+    .update({ status: "delivering", attempts, last_attempt_at: now.toISOString() })
+    .eq("id", delivery.id)
+    .eq("status", "pending")
+    .eq("attempts", delivery.attempts)
+    .select("id");
+
+  if (claimError) throw claimError;
+  if (!claimed?.length) return;
+
+  const result = subscription.active
+    ? await post(subscription, delivery)
+    : { ok: false, status: null, body: null, error: "Webhook is disabled" };
+
+  const retry = !result.ok && subscription.active && attempts < MAX_ATTEMPTS;
+  const update = {
+    status: result.ok ? "succeeded" : retry ? "pending" : "failed",
+    response_status: result.status,
+    response_body: result.body,
+    error: result.error,
+    ...(result.ok && { delivered_at: new Date().toISOString() }),
+    ...(retry && {
+      next_attempt_at: new Date(now.getTime() + BACKOFF_MINUTES[attempts - 1] * 60 * 1000).toISOString(),
+    }),
+  };
+
+  const { error } = await supabase.from("webhook_deliveries").update(update).eq("id", delivery.id);
+  if (error) throw error;
+
+  webhookDeliveries.inc({ event: delivery.event, outcome: update.status === "pending" ? "retry" : update.status });
+
+  if (!result.ok) {
+    console.log(`📤 Webhook ${delivery.event} → ${delivery.subscription_id} failed (${result.error})${retry ? `, retry ${attempts}/${MAX_ATTEMPTS - 1} queued` : ""}`);
+  }
+}
+
+export async function runWebhookDeliveries() {
+  // A worker died mid-send: try again (receivers de-duplicate on the event id)
+  const { error: stuckError } = await supabase
+    .from("webhook_deliveries")
+    .update({ status: "pending" })
+    .eq("status", "delivering")
+    .lt("last_attempt_at", new Date(Date.now() - STUCK_AFTER_MS).toISOString());
+  if (stuckError) throw stuckError;
+
+  const { data: deliveries, error } = await supabase
+    .from("webhook_deliveries")
+    .select("id, subscription_id, event, event_id, payload, attempts, webhook_subscriptions!inner(url, secret, active)")
+    .eq("status", "pending")
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  for (const delivery of deliveries || []) {
+    try {
+      await attempt(delivery);
+    } catch (err) {
+      console.error(`❌ Webhook delivery ${delivery.id} failed:`, err.message);
+    }
+  }
+}
+
+// Old log entries (and their payloads) don't hang around
+export async function pruneDeliveries() {
+  const cutoff = new Date(Date.now() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { error } = await supabase
+    .from("webhook_deliveries")
+    .delete()
+    .lt("created_at", cutoff)
+    .in("status", ["succeeded", "failed"]);
+
+  if (error) throw error;
+}
+
+export function startWebhookWorker() {
+  const interval = Number(process.env.WEBHOOK_POLL_MS) || 5000;
+  schedule("webhook-log-prune", 24 * 60 * 60 * 1000, pruneDeliveries);
+  return schedule("webhook-deliveries", interval, runWebhookDeliveries);
+}
@@ -0,0 +1,249 @@
+import { supabase } from "./supabase.js";
+import { schedule } from "./scheduler.js";
+import { loadScopedLead } from "./auth.js";
+import { normalisePhone, phoneVariants } from "./validation.js";
+import { LEAD_STATUS } from "./leadStatus.js";
+
+// 🛡️ Data-subject requests: export everything held on one applicant, erase it
+// on request, and anonymise closed leads once they pass the retention period.
+// An applicant is the lead asked about plus any other application in the same
+// company with the same phone number or email.
+
+const RETENTION_DAYS = Number(process.env.DATA_RETENTION_DAYS) || 6 * 365;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Personal columns on loan_applications, cleared on erasure. Status, amounts,
+// branch/agent and timestamps stay so reports still add up.
+const LEAD_PII_COLUMNS = [
+  "title",
+  "first_name",
+  "surname",
+  "dob",
+  "email",
+  "phone_number",
+  "address",
+  "town",
+  "postcode",
+  "income",
+  "best_call_time",
+  "preferred_call_time",
+  "reason_for_borrowing",
+  "decline_reason",
+  "callback_at",
+];
+
+// Every application by the same person in this company (oldest first)
+async function applicantLeads(lead) {
+  const phone = normalisePhone(lead.phone_number);
+  const email = String(lead.email || "").trim().toLowerCase();
+  const quote = (values) => values.map((v) => `"${v}"`).join(",");
+
+  const filters = [`id.eq.${lead.id}`];
+  if (phone) filters.push(`phone_number.in.(${quote(phoneVariants(phone))})`);
+  if (email) filters.push(`email.ilike."${email.replace(/[%*,()"\\]/g, "")}"`);
+
+  const { data, error } = await supabase
+    .from("loan_applications")
+    .select("*")
+    .eq("company_name", lead.company_name)
+    .or(filters.join(","))
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+
+  // ilike treats "_" as a wildcard, so confirm the match exactly
+  return (data || []).filter(
+    (row) =>
+      row.id === lead.id ||
+      (phone && normalisePhone(row.phone_number) === phone) ||
+      (email && String(row.email || "").trim().toLowerCase() === email)
+  );
+}
+
+// Contact details this applicant has been messaged on
+function recipientsOf(leads) {
+  return [
+    ...new Set(
+      leads.flatMap((lead) => [
+        ...phoneVariants(normalisePhone(lead.phone_number)),
+        lead.email?.trim().toLowerCase(),
+      ]).filter(Boolean)
+    ),
+  ];
+}
+
+async function rowsFor(table, column, values) {
+  if (!values.length) return [];
+  const { data, error } = await supabase.from(table).select("*").in(column, values);
+  if (error) throw error;
+  return data || [];
+}
+
+async function messagesFor(leadIds, recipients) {
+  const quote = (values) => values.map((v) => `"${v}"`).join(",");
+  const filters = [`lead_id.in.(${quote(leadIds)})`];
+  if (recipients.length) filters.push(`recipient.in.(${quote(recipients)})`);
+
+  const { data, error } = await supabase.from("messages").select("*").or(filters.join(","));
+  if (error) throw error;
+  return data || [];
+}
+
+// Open Banking links sent before leads were linked have no lead_id, so also
+// match unlinked rows on the applicant's phone number within the company
+async function openBankingFor(companyName, leads) {
+  const quote = (values) => values.map((v) => `"${v}"`).join(",");
+  const phones = [
+    ...new Set(leads.flatMap((lead) => phoneVariants(normalisePhone(lead.phone_number)))),
+  ];
+  const filters = [`lead_id.in.(${quote(leads.map((l) => l.id))})`];
+  if (phones.length) filters.push(`and(lead_id.is.null,phone_number.in.(${quote(phones)}))`);
+
+  const { data, error } = await supabase
+    .from("open_banking")
+    .select("*")
+    .eq("company_name", companyName)
+    .or(filters.join(","));
+  if (error) throw error;
+  return data || [];
+}
+
+// --- Export ---
+// Single JSON bundle of everything held on the applicant behind `leadId`
+export async function exportApplicant(user, leadId) {
+  const lead = await loadScopedLead(user, leadId);
+  const leads = await applicantLeads(lead);
+  const leadIds = leads.map((l) => l.id);
+  const recipients = recipientsOf(leads);
+
+  const messages = await messagesFor(leadIds, recipients);
+  const [openBanking, calls, statusHistory, notes, deliveryEvents, suppressions, duplicates] =
+    await Promise.all([
+      openBankingFor(lead.company_name, leads),
+      rowsFor("voice_call_1", "lead_id", leadIds),
+      rowsFor("lead_status_history", "lead_id", leadIds),
+      rowsFor("lead_notes", "lead_id", leadIds),
+      rowsFor("message_delivery_events", "message_id", messages.map((m) => m.id)),
+      rowsFor("message_suppressions", "recipient", recipients),
+      rowsFor("lead_duplicates", "lead_id", leadIds),
+    ]);
+
+  return {
+    exported_at: new Date().toISOString(),
+    exported_by: user.email,
+    company_name: lead.company_name,
+    subject: {
+      lead_id: lead.id,
+      name: [lead.first_name, lead.surname].filter(Boolean).join(" "),
+      phone_number: normalisePhone(lead.phone_number),
+      email: lead.email || null,
+    },
+    loan_applications: leads,
+    lead_status_history: statusHistory,
+    lead_notes: notes,
+    lead_duplicates: duplicates,
+    open_banking: openBanking,
+    voice_calls: calls,
+    messages,
+    message_delivery_events: deliveryEvents,
+    message_suppressions: suppressions,
+  };
+}
+
+// --- Erasure ---
+async function removeRows(table, column, values) {
+  if (!values.length) return 0;
+  const { data, error } = await supabase.from(table).delete().in(column, values).select("id");
+  if (error) throw error;
+  return data?.length || 0;
+}
+
+// Anonymises the leads and deletes what only exists because of them.
+// Suppressions are kept: a STOP must still be honoured after erasure.
+// Requests also remove messages sent to the applicant's contact details;
+// retention only touches messages tied to the expired leads themselves.
+async function eraseLeads(leads, { companyName, reason, requestedBy }) {
+  const leadIds = leads.map((l) => l.id);
+  const messages = await messagesFor(leadIds, reason === "request" ? recipientsOf(leads) : []);
+  const openBanking = await openBankingFor(companyName, leads);
+  const now = new Date().toISOString();
+
+  const counts = {
+    loan_applications: leadIds.length,
+    open_banking: await removeRows("open_banking", "id", openBanking.map((row) => row.id)),
+    voice_calls: await removeRows("voice_call_1", "lead_id", leadIds),
+    lead_notes: await removeRows("lead_notes", "lead_id", leadIds),
+    // Outbound webhook payloads carry lead details too
+    webhook_deliveries: await removeRows("webhook_deliveries", "lead_id", leadIds),
+    // message_delivery_events go with their message (on delete cascade)
+    messages: await removeRows("messages", "id", messages.map((m) => m.id)),
+  };
+
+  const { error } = await supabase
+    .from("loan_applications")
+    .update({
+      ...Object.fromEntries(LEAD_PII_COLUMNS.map((column) => [column, null])),
+      erased_at: now,
+    })
+    .in("id", leadIds);
+  if (error) throw error;
+
+  const { error: auditError } = await supabase.from("data_erasures").insert({
+    company_name: companyName,
+    lead_ids: leadIds,
+    reason,
+    requested_by: requestedBy,
+    counts,
+  });
+  if (auditError) console.error("❌ Failed to record erasure:", auditError.message);
+
+  console.log(`🛡️ Erased ${leadIds.length} lead(s) for ${companyName} (${reason})`);
+  return counts;
+}
+
+// Erasure request for the applicant behind `leadId`
+export async function eraseApplicant(user, leadId) {
+  const lead = await loadScopedLead(user, leadId);
+  const leads = await applicantLeads(lead);
+
+  return eraseLeads(leads, {
+    companyName: lead.company_name,
+    reason: "request",
+    requestedBy: user.email,
+  });
+}
+
+// --- Retention ---
+// Closed leads older than DATA_RETENTION_DAYS are anonymised, a batch per pass
+export async function runRetention(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY).toISOString();
+
+  const { data: leads, error } = await supabase
+    .from("loan_applications")
+    .select("id, company_name, email, phone_number")
+    .is("erased_at", null)
+    .lt("created_at", cutoff)
+    // NULL status counts as closed; not.in alone would skip those rows
+    .or(`status.is.null,status.not.in.("${LEAD_STATUS.NEW}","${LEAD_STATUS.IN_PROGRESS}")`)
+    .limit(100);
+
+  if (error) throw error;
+
+  const byCompany = new Map();
+  for (const lead of leads || []) {
+    byCompany.set(lead.company_name, [...(byCompany.get(lead.company_name) || []), lead]);
+  }
+
+  for (const [companyName, companyLeads] of byCompany) {
+    try {
+      await eraseLeads(companyLeads, { companyName, reason: "retention", requestedBy: "system" });
+    } catch (err) {
+      console.error(`❌ Retention erasure failed for ${companyName}:`, err.message);
+    }
+  }
+}
+
+export function startRetentionScheduler() {
+  const interval = Number(process.env.RETENTION_CHECK_MS) || 24 * 60 * 60 * 1000;
+  return schedule("data-retention", interval, runRetention);
+}
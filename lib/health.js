@@ -0,0 +1,90 @@
+import axios from "axios";
+import { supabase } from "./supabase.js";
+import { sandbox } from "./notify.js";
+
+// 🩺 Health checks. /healthz: is this instance configured to do its job
+// (env only, no network). /readyz: can it reach what it needs right now
+// (Supabase, and Twilio + SendGrid when sending for real). Readiness results
+// are cached briefly so frequent probes don't hammer the providers.
+
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS) || 3000;
+const READY_CACHE_MS = Number(process.env.READY_CACHE_MS) || 15 * 1000;
+
+const live = !sandbox;
+const missing = (...names) => names.filter((name) => !process.env[name]);
+
+// { name: { ok, required, detail } } — optional integrations never fail the check
+export function checkConfig() {
+  const check = (required, names, okDetail) => {
+    const absent = missing(...names);
+    return { ok: !absent.length, required, detail: absent.length ? `missing ${absent.join(", ")}` : okDetail };
+  };
+
+  return {
+    supabase: check(true, ["VITE_SUPABASE_URL", "VITE_SUPABASE_SERVICE_ROLE_KEY"], "configured"),
+    twilio: live ? check(true, ["TWILIO_SID", "TWILIO_AUTH"], "configured") : { ok: true, required: false, detail: `sandbox (${sandbox.name})` },
+    sendgrid: live ? check(true, ["SENDGRID_API_KEY"], "configured") : { ok: true, required: false, detail: `sandbox (${sandbox.name})` },
+    lead_webhook: check(true, ["SUPABASE_WEBHOOK_SECRET"], "configured"),
+    vapi: check(false, ["VAPI_API_KEY", "VAPI_ASSISTANT_ID", "VAPI_PHONE_NUMBER_ID"], "configured"),
+  };
+}
+
+const withTimeout = (promise) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error("timed out")), CHECK_TIMEOUT_MS).unref()),
+  ]);
+
+// Each probe resolves to a short detail string or throws
+const PROBES = {
+  async supabase() {
+    const { error } = await withTimeout(
+      supabase.from("users").select("id", { count: "exact", head: true }).limit(1)
+    );
+    if (error) throw new Error(error.message || "query failed");
+    return "reachable";
+  },
+  async twilio() {
+    const sid = process.env.TWILIO_SID;
+    await axios.get(`https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(sid)}.json`, {
+      auth: { username: sid, password: process.env.TWILIO_AUTH },
+      timeout: CHECK_TIMEOUT_MS,
+    });
+    return "reachable";
+  },
+  async sendgrid() {
+    await axios.get("https://api.sendgrid.com/v3/scopes", {
+      headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+      timeout: CHECK_TIMEOUT_MS,
+    });
+    return "reachable";
+  },
+};
+
+let cached = null;
+
+// { ok, checks } — ok is false if any required dependency is misconfigured or unreachable
+export async function checkReadiness() {
+  if (cached && cached.expires > Date.now()) return cached.result;
+
+  const checks = checkConfig();
+  await Promise.all(
+    Object.entries(PROBES).map(async ([name, probe]) => {
+      const check = checks[name];
+      if (!check.ok || !check.required) return; // nothing to reach (sandbox) or can't without config
+      try {
+        check.detail = await probe();
+      } catch (err) {
+        check.ok = false;
+        check.detail = err.response ? `HTTP ${err.response.status}` : err.message;
+      }
+    })
+  );
+
+  const result = {
+    ok: Object.values(checks).every((check) => check.ok || !check.required),
+    checks,
+  };
+  cached = { result, expires: Date.now() + READY_CACHE_MS };
+  return result;
+}
@@ -0,0 +1,142 @@
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+import { schedule } from "./scheduler.js";
+
+// 🔂 Idempotency-Key support for routes that send things. The first request
+// with a key claims it (`idempotency_keys`, unique per user + route + key) and
+// its response is stored; repeats get that response back instead of running
+// again. Server errors release the key so the client can retry.
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000; // a claim this old belongs to a request that died
+const MAX_KEY_LENGTH = 255;
+
+const hashBody = (body) =>
+  crypto.createHash("sha256").update(JSON.stringify(body ?? {})).digest("hex");
+
+// Inserts the claim; returns { claimed } or { existing } when the key is taken
+async function claimKey({ userId, scope, key, requestHash }) {
+  const now = Date.now();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { data: claimed, error } = await supabase
+      .from("idempotency_keys")
+      .insert({
+        user_id: userId,
+        scope,
+        key,
+        request_hash: requestHash,
+        status: "processing",
+        expires_at: new Date(now + TTL_HOURS * 60 * 60 * 1000).toISOString(),
+      })
+      .select("id")
+      .single();
+
+    if (!error) return { claimed };
+    if (error.code !== "23505") throw error;
+
+    const { data: existing, error: findError } = await supabase
+      .from("idempotency_keys")
+      .select("id, request_hash, status, response_status, response_body, created_at, expires_at")
+      .eq("user_id", userId)
+      .eq("scope", scope)
+      .eq("key", key)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (!existing) continue; // released in the meantime
+
+    const expired = new Date(existing.expires_at).getTime() <= now;
+    const abandoned =
+      existing.status === "processing" && now - new Date(existing.created_at).getTime() > LOCK_TIMEOUT_MS;
+    if (!expired && !abandoned) return { existing };
+
+    // Stale: clear it (only if nobody beat us to it) and claim again
+    const { error: deleteError } = await supabase
+      .from("idempotency_keys")
+      .delete()
+      .eq("id", existing.id)
+      .eq("status", existing.status);
+    if (deleteError) throw deleteError;
+  }
+
+  throw new Error("Could not claim Idempotency-Key");
+}
+
+async function saveResponse(claimed, status, body) {
+  const query =
+    status >= 500
+      ? supabase.from("idempotency_keys").delete().eq("id", claimed.id)
+      : supabase
+          .from("idempotency_keys")
+          .update({
+            status: "completed",
+            response_status: status,
+            response_body: body,
+            completed_at: new Date().toISOString(),
+          })
+          .eq("id", claimed.id);
+
+  const { error } = await query;
+  if (error) console.error("❌ Failed to store idempotent response:", error.message);
+}
+
+// Express middleware (after requireAuth). Requests without the header run as normal.
+export function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res
+        .status(400)
+        .json({ success: false, error: `Idempotency-Key must be ${MAX_KEY_LENGTH} characters or fewer` });
+    }
+
+    const requestHash = hashBody(req.body);
+    let claim;
+    try {
+      claim = await claimKey({ userId: req.user.id, scope, key, requestHash });
+    } catch (err) {
+      console.error("❌ Idempotency check failed:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+
+    const { claimed, existing } = claim;
+    if (existing) {
+      if (existing.request_hash !== requestHash) {
+        return res
+          .status(422)
+          .json({ success: false, error: "Idempotency-Key was already used for a different request" });
+      }
+      if (existing.status === "processing") {
+        return res
+          .status(409)
+          .json({ success: false, error: "A request with this Idempotency-Key is still in progress" });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Store the response before it goes out, so a retry after it arrives replays it
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      saveResponse(claimed, res.statusCode, body).finally(() => json(body));
+      return res;
+    };
+    next();
+  };
+}
+
+export async function pruneIdempotencyKeys() {
+  const { error } = await supabase
+    .from("idempotency_keys")
+    .delete()
+    .lt("expires_at", new Date().toISOString());
+
+  if (error) throw error;
+}
+
+export function startIdempotencyCleanup() {
+  return schedule("idempotency-keys", 60 * 60 * 1000, pruneIdempotencyKeys);
+}
@@ -0,0 +1,87 @@
+import { supabase } from "./supabase.js";
+import { suppressRecipient, unsuppressRecipient } from "./suppressions.js";
+import { LEAD_STATUS, canTransition, changeLeadStatus } from "./leadStatus.js";
+
+// 💬 Inbound SMS: customer opt-outs and agent keyword replies
+
+const OPT_OUT_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"];
+const OPT_IN_KEYWORDS = ["START", "UNSTOP", "YES"];
+
+// Agent replies to a lead SMS → status for their most recent lead
+const AGENT_KEYWORDS = {
+  ISSUED: LEAD_STATUS.ISSUED,
+  DECLINED: LEAD_STATUS.DECLINED,
+  NOCONTACT: LEAD_STATUS.UNABLE_TO_CONTACT,
+  NOTNEEDED: LEAD_STATUS.NO_LONGER_NEEDED,
+};
+
+const HELP_TEXT = `Reply ${Object.keys(AGENT_KEYWORDS).join(", ")} to update your latest lead.`;
+
+// Agent phones may be stored as +44… or 0…
+function phoneVariants(number) {
+  const variants = [number];
+  if (number.startsWith("+44")) variants.push(`0${number.slice(3)}`);
+  return variants;
+}
+
+async function findAgentByPhone(from) {
+  const { data, error } = await supabase
+    .from("agents")
+    .select("id, name, company_name")
+    .in("phone", phoneVariants(from))
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+async function latestOpenLead(agent) {
+  const { data, error } = await supabase
+    .from("loan_applications")
+    .select("id, first_name, surname, status")
+    .eq("company_name", agent.company_name)
+    .eq("assigned_agent", agent.name)
+    .eq("status", LEAD_STATUS.IN_PROGRESS)
+    .order("assigned_time", { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// Returns the reply text to send back, or null for no reply
+export async function handleInboundSms({ from, body }) {
+  const keyword = String(body || "").trim().split(/\s+/)[0].toUpperCase();
+
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    await suppressRecipient(from, { reason: `Replied ${keyword}` });
+    console.log("🚫 Recipient opted out of SMS");
+    return null; // Twilio's own opt-out reply covers this
+  }
+
+  if (OPT_IN_KEYWORDS.includes(keyword)) {
+    await unsuppressRecipient(from);
+    console.log("✅ Recipient opted back in to SMS");
+    return null;
+  }
+
+  const agent = await findAgentByPhone(from);
+  if (!agent) return null; // a customer chatting — nothing to do
+
+  const status = AGENT_KEYWORDS[keyword];
+  if (!status) return HELP_TEXT;
+
+  const lead = await latestOpenLead(agent);
+  if (!lead || !canTransition(lead.status, status)) {
+    return "You have no open leads to update.";
+  }
+
+  await changeLeadStatus({
+    leadId: lead.id,
+    to: status,
+    changedBy: agent.name,
+    channel: "sms",
+  });
+
+  return `${lead.first_name || ""} ${lead.surname || ""} updated to "${status}".`.trim();
+}
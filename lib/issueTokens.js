@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+
+// 🔑 Issue tokens are the only credential on the agent's status links, so they
+// are random, stored hashed, tied to one agent and one lead, and expire.
+const TOKEN_TTL_HOURS = Number(process.env.ISSUE_TOKEN_TTL_HOURS) || 72;
+
+export class IssueTokenError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "IssueTokenError";
+    this.reason = reason; // "invalid" | "expired" | "used" | "reassigned"
+    this.status = reason === "invalid" ? 404 : 410;
+  }
+}
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Kills every live link for the lead (reassigned or unassigned)
+export async function revokeIssueTokens(leadId) {
+  const { error } = await supabase
+    .from("issue_tokens")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("lead_id", leadId)
+    .is("used_at", null)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+}
+
+// Revokes any live links for the lead, then stores a fresh one for this agent
+export async function createIssueToken(leadId, agent) {
+  const now = new Date();
+
+  await revokeIssueTokens(leadId);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(now.getTime() + TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
+  const { error } = await supabase.from("issue_tokens").insert({
+    token_hash: hashToken(token),
+    lead_id: leadId,
+    agent_id: agent.id,
+    agent_name: agent.name,
+    expires_at: expiresAt.toISOString(),
+  });
+
+  if (error) throw error;
+
+  return token;
+}
+
+// Resolves a token to its stored record and the lead it unlocks, or throws.
+// `allowUsed` lets the agent portal keep working after the first status update.
+export async function verifyIssueToken(token, { allowUsed = false } = {}) {
+  if (!token || typeof token !== "string") {
+    throw new IssueTokenError("invalid", "This link is not valid.");
+  }
+
+  const { data: record, error } = await supabase
+    .from("issue_tokens")
+    .select("id, lead_id, agent_id, agent_name, expires_at, used_at, revoked_at")
+    .eq("token_hash", hashToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!record) {
+    throw new IssueTokenError("invalid", "This link is not valid.");
+  }
+  if (record.used_at && !allowUsed) {
+    throw new IssueTokenError("used", "This link has already been used.");
+  }
+  if (record.revoked_at) {
+    throw new IssueTokenError("reassigned", "This lead has been reassigned.");
+  }
+  if (new Date(record.expires_at) <= new Date()) {
+    throw new IssueTokenError("expired", "This link has expired.");
+  }
+
+  const { data: lead, error: leadError } = await supabase
+    .from("loan_applications")
+    .select("id, first_name, surname, status, assigned_agent, company_name")
+    .eq("id", record.lead_id)
+    .maybeSingle();
+
+  if (leadError) throw leadError;
+  if (!lead) {
+    throw new IssueTokenError("invalid", "This lead no longer exists.");
+  }
+  if (lead.assigned_agent !== record.agent_name) {
+    throw new IssueTokenError("reassigned", "This lead has been reassigned.");
+  }
+
+  return { record, lead };
+}
+
+// Marks the token used; only one concurrent request can win the update
+export async function consumeIssueToken(record) {
+  const { data, error } = await supabase
+    .from("issue_tokens")
+    .update({ used_at: new Date().toISOString() })
+    .eq("id", record.id)
+    .is("used_at", null)
+    .select("id");
+
+  if (error) throw error;
+  if (!data?.length) {
+    throw new IssueTokenError("used", "This link has already been used.");
+  }
+}
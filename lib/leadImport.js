@@ -0,0 +1,145 @@
+import { supabase } from "./supabase.js";
+import { parseCsv } from "./csv.js";
+import { httpError } from "./errors.js";
+import { validate, LEAD_SCHEMA } from "./validation.js";
+import { createJob, finishJob } from "./bulkJobs.js";
+
+// 📥 CSV lead import. Columns are matched to `loan_applications` fields by
+// header name (with common spreadsheet spellings), or by an explicit mapping;
+// each row is validated like a webhook lead and problems are reported per row.
+
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 5000;
+const INSERT_CHUNK = 200;
+
+export const IMPORT_FIELDS = [
+  "title",
+  "first_name",
+  "surname",
+  "dob",
+  "email",
+  "phone_number",
+  "address",
+  "town",
+  "postcode",
+  "amount_requested",
+  "loan_term",
+  "income",
+  "reason_for_borrowing",
+  "best_call_time",
+  "preferred_call_time",
+  "method_collection",
+];
+
+// Header spellings seen in client spreadsheets (compared lower-case, without punctuation)
+const HEADER_ALIASES = {
+  first_name: ["first name", "firstname", "forename", "given name"],
+  surname: ["last name", "lastname", "family name"],
+  dob: ["date of birth", "birth date", "birthday"],
+  email: ["email address", "e mail"],
+  phone_number: ["phone", "mobile", "mobile number", "telephone", "tel", "phone no", "contact number"],
+  address: ["address line 1", "address 1", "street"],
+  town: ["city", "town city"],
+  postcode: ["post code", "postal code", "zip"],
+  amount_requested: ["amount", "loan amount", "amount requested"],
+  loan_term: ["term", "term weeks", "loan term weeks"],
+  income: ["monthly income", "salary"],
+  reason_for_borrowing: ["reason", "purpose", "loan purpose"],
+  best_call_time: ["best time to call", "call time"],
+};
+
+const headerKey = (header) => String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// Header row → field per column (null for columns we don't import)
+export function mapColumns(headers, mapping = {}) {
+  const explicit = Object.fromEntries(
+    Object.entries(mapping).map(([header, field]) => [headerKey(header), field])
+  );
+
+  return headers.map((header) => {
+    const key = headerKey(header);
+    if (explicit[key] !== undefined) return IMPORT_FIELDS.includes(explicit[key]) ? explicit[key] : null;
+    if (IMPORT_FIELDS.includes(key.replace(/ /g, "_"))) return key.replace(/ /g, "_");
+    return Object.keys(HEADER_ALIASES).find((field) => HEADER_ALIASES[field].includes(key)) || null;
+  });
+}
+
+// Imported leads need a way to reach them
+const IMPORT_SCHEMA = {
+  ...LEAD_SCHEMA,
+  first_name: { type: "string", required: true, label: "First name" },
+  phone_number: { type: "phone", required: true, label: "Phone number" },
+};
+
+// Validates (and unless dryRun, inserts) the rows; returns a summary with per-row errors.
+// Row numbers are spreadsheet lines, so the header is row 1.
+export async function importLeads({ user, csv, mapping, dryRun = false }) {
+  const [headers, ...rows] = parseCsv(csv);
+  if (!headers) throw httpError(400, "CSV is empty");
+  if (rows.length > MAX_ROWS) throw httpError(400, `Too many rows (max ${MAX_ROWS})`);
+
+  const columns = mapColumns(headers, mapping);
+  if (!columns.some(Boolean)) throw httpError(400, "No recognised columns in the header row");
+
+  const valid = [];
+  const errors = [];
+
+  rows.forEach((cells, i) => {
+    const raw = { company_name: user.company_name };
+    columns.forEach((field, c) => {
+      if (field && cells[c]?.trim()) raw[field] = cells[c].trim();
+    });
+
+    const { value, errors: rowErrors } = validate(IMPORT_SCHEMA, raw);
+    if (rowErrors.length) {
+      errors.push({ row: i + 2, errors: rowErrors });
+    } else {
+      // Managers import into their own branch
+      const lead = user.role === "manager" ? { ...value, assigned_branch: user.branch } : value;
+      valid.push({ row: i + 2, lead });
+    }
+  });
+
+  const summary = {
+    total: rows.length,
+    imported: 0,
+    failed: errors.length,
+    columns: headers.map((header, c) => ({ header, field: columns[c] })),
+    errors,
+  };
+  if (dryRun) return { ...summary, dry_run: true, valid: valid.length };
+
+  const job = await createJob({
+    kind: "lead_import",
+    companyName: user.company_name,
+    createdBy: user.email,
+    total: rows.length,
+    params: { columns: summary.columns },
+  });
+
+  // Tagged with the job so /lead-created skips the per-lead admin alert
+  for (let i = 0; i < valid.length; i += INSERT_CHUNK) {
+    const chunk = valid.slice(i, i + INSERT_CHUNK);
+    const { error } = await supabase
+      .from("loan_applications")
+      .insert(chunk.map(({ lead }) => ({ ...lead, import_id: job.id })));
+
+    if (error) {
+      console.error(`❌ Import ${job.id} chunk failed:`, error.message);
+      for (const { row } of chunk) {
+        errors.push({ row, errors: [{ field: "row", message: `Not saved: ${error.message}` }] });
+      }
+      summary.failed += chunk.length;
+    } else {
+      summary.imported += chunk.length;
+    }
+  }
+
+  await finishJob(job.id, {
+    succeeded: summary.imported,
+    failed: summary.failed,
+    errors: errors.slice(0, 500),
+  });
+
+  console.log(`📥 Import ${job.id}: ${summary.imported} imported, ${summary.failed} failed`);
+  return { ...summary, job_id: job.id };
+}
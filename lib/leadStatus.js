@@ -0,0 +1,121 @@
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+import { emitEvent } from "./eventWebhooks.js";
+
+// 🔄 Lead lifecycle: New → In Progress → Issued / Declined / Unable to Contact / No Longer Needed
+export const LEAD_STATUS = {
+  NEW: "New",
+  IN_PROGRESS: "In Progress",
+  ISSUED: "Issued",
+  DECLINED: "Declined",
+  UNABLE_TO_CONTACT: "Unable to Contact",
+  NO_LONGER_NEEDED: "No Longer Needed",
+};
+
+const TRANSITIONS = {
+  [LEAD_STATUS.NEW]: [
+    LEAD_STATUS.IN_PROGRESS,
+    LEAD_STATUS.DECLINED,
+    LEAD_STATUS.UNABLE_TO_CONTACT,
+    LEAD_STATUS.NO_LONGER_NEEDED,
+  ],
+  [LEAD_STATUS.IN_PROGRESS]: [
+    LEAD_STATUS.ISSUED,
+    LEAD_STATUS.DECLINED,
+    LEAD_STATUS.UNABLE_TO_CONTACT,
+    LEAD_STATUS.NO_LONGER_NEEDED,
+    LEAD_STATUS.NEW, // unassigned again (e.g. SLA escalation)
+  ],
+  // Someone may try again later (new agent, new call)
+  [LEAD_STATUS.UNABLE_TO_CONTACT]: [LEAD_STATUS.IN_PROGRESS],
+  [LEAD_STATUS.ISSUED]: [],
+  [LEAD_STATUS.DECLINED]: [],
+  [LEAD_STATUS.NO_LONGER_NEEDED]: [],
+};
+
+// Each status keeps its own "when" column instead of sharing issued_time
+const STATUS_TIMESTAMPS = {
+  [LEAD_STATUS.IN_PROGRESS]: "assigned_time",
+  [LEAD_STATUS.ISSUED]: "issued_time",
+  [LEAD_STATUS.DECLINED]: "declined_time",
+  [LEAD_STATUS.UNABLE_TO_CONTACT]: "unable_to_contact_time",
+  [LEAD_STATUS.NO_LONGER_NEEDED]: "no_longer_needed_time",
+};
+
+// Older links and dashboards still send these
+const STATUS_ALIASES = {
+  "Agent Declined": LEAD_STATUS.DECLINED,
+};
+
+// Canonical status name, or null if it isn't a lifecycle status
+export function normaliseStatus(status) {
+  const value = STATUS_ALIASES[status] || status;
+  return Object.values(LEAD_STATUS).includes(value) ? value : null;
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from || LEAD_STATUS.NEW] || []).includes(to);
+}
+
+// Throws a 409 if the lead can't move from `from` to `to`
+export function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw httpError(409, `Lead cannot move from "${from || LEAD_STATUS.NEW}" to "${to}"`);
+  }
+}
+
+// 🧾 Moves a lead to a new status, stamps the matching timestamp and records history.
+// `changedBy` is who did it (email / agent name / "system"), `channel` is how
+// (dashboard, agent_link, sms, template, ...). `fields` are extra columns to set.
+export async function changeLeadStatus({ leadId, to, changedBy, channel, fields = {} }) {
+  const status = normaliseStatus(to);
+  if (!status) throw httpError(400, `Unknown status "${to}"`);
+
+  const { data: lead, error: fetchError } = await supabase
+    .from("loan_applications")
+    .select("id, status")
+    .eq("id", leadId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!lead) throw httpError(404, "Lead not found");
+
+  assertTransition(lead.status, status);
+
+  const now = new Date().toISOString();
+  const timestampColumn = STATUS_TIMESTAMPS[status];
+  let update = supabase
+    .from("loan_applications")
+    .update({ ...(timestampColumn && { [timestampColumn]: now }), ...fields, status })
+    .eq("id", leadId);
+
+  // Only apply if nobody changed the status since we read it
+  update = lead.status ? update.eq("status", lead.status) : update.is("status", null);
+
+  const { data: updated, error } = await update.select().maybeSingle();
+
+  if (error) throw error;
+  if (!updated) throw httpError(409, "Lead status was changed by someone else, please refresh");
+
+  const { error: historyError } = await supabase.from("lead_status_history").insert({
+    lead_id: leadId,
+    from_status: lead.status || LEAD_STATUS.NEW,
+    to_status: status,
+    changed_by: changedBy || "system",
+    channel: channel || "system",
+    changed_at: now,
+  });
+
+  if (historyError) console.error("❌ Failed to record status history:", historyError.message);
+
+  await emitEvent(updated.company_name, "lead.status_changed", {
+    lead_id: leadId,
+    from: lead.status || LEAD_STATUS.NEW,
+    to: status,
+    changed_by: changedBy || "system",
+    channel: channel || "system",
+    changed_at: now,
+  });
+
+  return updated;
+}
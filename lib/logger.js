@@ -0,0 +1,135 @@
+import util from "util";
+import { currentContext } from "./requestContext.js";
+
+// 🙈 PII-safe logging. Lead records, message payloads and provider callbacks
+// carry names, DOBs, contact details and transcripts; everything written
+// through console.* is passed through `redact` first so none of it reaches stdout.
+// Each line is a JSON object carrying the request id / job name of whatever
+// was running when it was logged; LOG_FORMAT=pretty keeps plain console output
+// for reading locally.
+
+const REDACTED = "[redacted]";
+
+// Keys whose values are never logged, wherever they appear in an object
+const PII_KEYS = new Set([
+  "title",
+  "first_name",
+  "surname",
+  "customer_name",
+  "name",
+  "dob",
+  "email",
+  "phone",
+  "phone_number",
+  "recipient",
+  "to",
+  "from",
+  "address",
+  "town",
+  "postcode",
+  "income",
+  "reason_for_borrowing",
+  "body",
+  "text",
+  "transcript",
+  "summary",
+  "recording_url",
+  "recordingurl",
+  "structured_data",
+  "structureddata",
+  "messages",
+  "customer",
+  "variablevalues",
+].map((key) => key.toLowerCase()));
+
+// Contact details that turn up inside free text (error messages, log lines)
+const PATTERNS = [
+  /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi, // emails
+  /(?<![\w-])(?:\+|0)\d[\d\s-]{7,14}\d(?![\w-])/g, // phone numbers (not ids)
+  /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/g, // UK postcodes
+];
+
+export function redactText(text) {
+  return PATTERNS.reduce((out, pattern) => out.replace(pattern, REDACTED), String(text));
+}
+
+// Deep copy of `value` with PII keys masked and free text scrubbed
+export function redact(value, depth = 0) {
+  if (typeof value === "string") return redactText(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 6) return "[…]";
+
+  if (value instanceof Error) {
+    const copy = new Error(redactText(value.message));
+    copy.name = value.name;
+    copy.stack = value.stack && redactText(value.stack);
+    if (value.code) copy.code = value.code;
+    if (value.status) copy.status = value.status;
+    return copy;
+  }
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      PII_KEYS.has(key.toLowerCase()) && item !== null && item !== undefined && item !== ""
+        ? REDACTED
+        : redact(item, depth + 1),
+    ])
+  );
+}
+
+const FORMAT = ["pretty", "text"].includes(process.env.LOG_FORMAT) ? "pretty" : "json";
+
+const LEVELS = { log: "info", info: "info", warn: "warn", error: "error", debug: "debug" };
+
+function errorFields(err) {
+  return { name: err.name, message: err.message, code: err.code, status: err.status, stack: err.stack };
+}
+
+// One JSON line: { time, level, msg, request_id?, job?, err?, ...fields }
+function jsonLine(level, args, fields = {}) {
+  const context = currentContext();
+  const err = args.find((arg) => arg instanceof Error);
+  const rest = args.filter((arg) => arg !== err);
+
+  return JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: util.format(...rest).trim() || err?.message || "",
+    ...(context?.requestId && { request_id: context.requestId }),
+    ...(context?.job && { job: context.job }),
+    ...(err && { err: errorFields(err) }),
+    ...fields,
+  });
+}
+
+// Wraps console.log / info / warn / error / debug once, at startup
+let installed = false;
+const originals = {};
+
+export function redactConsole() {
+  if (installed) return;
+  installed = true;
+
+  for (const method of Object.keys(LEVELS)) {
+    const original = console[method].bind(console);
+    originals[method] = original;
+    console[method] = (...args) => {
+      const safe = args.map((arg) => redact(arg));
+      if (FORMAT === "json") original(jsonLine(LEVELS[method], safe));
+      else original(...safe);
+    };
+  }
+}
+
+// A log line with structured fields (top-level keys in JSON, key=value in text)
+export function logEvent(level, msg, fields = {}) {
+  const safe = redact(fields);
+  const write = originals[level === "info" ? "log" : level] || console[level === "info" ? "log" : level];
+
+  if (FORMAT === "json") return write(jsonLine(level, [msg], safe));
+  const pairs = Object.entries(safe).filter(([, v]) => v !== undefined && v !== null);
+  write(`${msg} ${pairs.map(([k, v]) => `${k}=${v}`).join(" ")}`);
+}
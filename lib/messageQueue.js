@@ -0,0 +1,229 @@
+import { supabase } from "./supabase.js";
+import { schedule } from "./scheduler.js";
+import { isSuppressed } from "./suppressions.js";
+import { reserveUsage, releaseUsage } from "./quotas.js";
+import { alertAssigner } from "./deliveryStatus.js";
+import { routeLabel } from "./requestContext.js";
+import { messagesQueued, messagesSent, messageFailures, messagesSuppressed } from "./metrics.js";
+
+// 📬 Outbound SMS/email queue backed by the `messages` table.
+// Routes enqueue and return; the worker sends, retries with backoff and
+// parks messages as "dead" once they run out of attempts.
+const MAX_ATTEMPTS = Number(process.env.MESSAGE_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = Number(process.env.MESSAGE_BACKOFF_BASE_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = Number(process.env.MESSAGE_BATCH_SIZE) || 20;
+const STUCK_AFTER_MS = 10 * 60 * 1000;
+
+// Labels shared by the message counters in metrics.js
+const messageLabels = (row) => ({
+  channel: row.channel,
+  company: row.company_name || "none",
+  purpose: row.purpose || "none",
+});
+
+// Quota warnings never count, or a company at its cap couldn't be told so
+const countsAgainstQuota = (row) => Boolean(row.company_name) && row.purpose !== "quota_warning";
+
+// Counts a batch against each company's SMS/email caps; all or nothing
+async function reserveBatch(rows) {
+  const counts = new Map();
+  for (const row of rows) {
+    if (!countsAgainstQuota(row)) continue;
+    const key = JSON.stringify([row.company_name, row.channel]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const reserved = [];
+  try {
+    for (const [key, amount] of counts) {
+      const [companyName, channel] = JSON.parse(key);
+      await reserveUsage(companyName, channel, amount);
+      reserved.push([companyName, channel, amount]);
+    }
+  } catch (err) {
+    for (const args of reserved) await releaseUsage(...args);
+    throw err;
+  }
+  return reserved;
+}
+
+// Queues one or more messages:
+// { channel, to, subject?, body, leadId?, companyName?, purpose?, requestedBy? }
+// `purpose` tags why it was sent (e.g. "lead_assignment"); `requestedBy` is the users.id behind it.
+// Throws a 429 if the company is over its SMS/email quota (see quotas.js).
+export async function enqueueMessages(messages) {
+  const rows = messages
+    .filter((m) => m.to)
+    .map((m) => ({
+      channel: m.channel,
+      recipient: m.to,
+      subject: m.subject || null,
+      body: m.body,
+      lead_id: m.leadId || null,
+      company_name: m.companyName || null,
+      purpose: m.purpose || null,
+      requested_by: m.requestedBy || null,
+      max_attempts: MAX_ATTEMPTS,
+    }));
+
+  if (!rows.length) return [];
+
+  const reserved = await reserveBatch(rows);
+
+  const { data, error } = await supabase
+    .from("messages")
+    .insert(rows)
+    .select("id, channel, recipient, status, company_name, purpose");
+
+  if (error) {
+    for (const args of reserved) await releaseUsage(...args);
+    throw error;
+  }
+
+  const route = routeLabel();
+  for (const row of data) messagesQueued.inc({ ...messageLabels(row), route });
+  return data;
+}
+
+export async function enqueueMessage(message) {
+  const [row] = await enqueueMessages([message]);
+  return row;
+}
+
+// Queues each message on its own, so one failing doesn't stop the others.
+// Returns the outcome per channel:
+// { sms: { status: "queued", message_id } | { status: "skipped", reason } | { status: "failed", error }, email: ... }
+export async function enqueueEach(messages) {
+  const results = {};
+
+  for (const message of messages) {
+    if (!message.to) {
+      results[message.channel] = {
+        status: "skipped",
+        reason: message.channel === "sms" ? "No phone number" : "No email address",
+      };
+      continue;
+    }
+
+    try {
+      const row = await enqueueMessage(message);
+      results[message.channel] = { status: "queued", message_id: row.id };
+    } catch (err) {
+      console.error(`❌ Failed to queue ${message.channel} for lead ${message.leadId}:`, err.message);
+      results[message.channel] = { status: "failed", error: err.message };
+    }
+  }
+
+  return results;
+}
+
+// 2^n backoff with a little jitter so retries don't bunch up
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return delay + Math.floor(Math.random() * 1000);
+}
+
+async function markResult(message, patch) {
+  const { error } = await supabase
+    .from("messages")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", message.id);
+
+  if (error) console.error(`❌ Failed to update message ${message.id}:`, error.message);
+}
+
+// A message that ends without being sent gives its quota back
+async function releaseMessage(message) {
+  if (!countsAgainstQuota(message)) return;
+  await releaseUsage(message.company_name, message.channel, 1, new Date(message.created_at || Date.now()));
+}
+
+// Sends one claimed message through `deliver` and records the outcome
+async function sendOne(message, deliver) {
+  const attempts = message.attempts + 1;
+
+  try {
+    // 🚫 Opted-out recipients are never sent to
+    if (await isSuppressed(message.recipient)) {
+      await markResult(message, { status: "suppressed", last_error: "Recipient opted out" });
+      await releaseMessage(message);
+      messagesSuppressed.inc(messageLabels(message));
+      return;
+    }
+
+    const providerId = await deliver(message);
+    await markResult(message, {
+      status: "sent",
+      attempts,
+      provider_id: providerId || null,
+      last_error: null,
+      sent_at: new Date().toISOString(),
+    });
+    messagesSent.inc(messageLabels(message));
+  } catch (err) {
+    const dead = attempts >= message.max_attempts;
+    messageFailures.inc({ ...messageLabels(message), final: dead });
+    console.error(
+      `❌ ${message.channel} message ${message.id} failed (attempt ${attempts}/${message.max_attempts}):`,
+      err.message
+    );
+    await markResult(message, {
+      status: dead ? "dead" : "queued",
+      attempts,
+      last_error: err.message,
+      next_attempt_at: new Date(Date.now() + backoffDelay(attempts)).toISOString(),
+    });
+    if (dead) {
+      await releaseMessage(message);
+      // The agent never got the lead, same as a failed delivery callback
+      if (message.purpose === "lead_assignment") {
+        await alertAssigner(message).catch((alertErr) =>
+          console.error(`❌ Failed to alert assigner for message ${message.id}:`, alertErr.message)
+        );
+      }
+    }
+  }
+}
+
+// One worker pass: recover stuck rows, then claim and send what's due
+export async function processQueue(deliver) {
+  const now = new Date();
+
+  // Rows left in "sending" by a crashed worker go back on the queue
+  await supabase
+    .from("messages")
+    .update({ status: "queued", updated_at: now.toISOString() })
+    .eq("status", "sending")
+    .lt("updated_at", new Date(now.getTime() - STUCK_AFTER_MS).toISOString());
+
+  const { data: due, error } = await supabase
+    .from("messages")
+    .select("*")
+    .eq("status", "queued")
+    .lte("next_attempt_at", now.toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  for (const message of due || []) {
+    // Claim it — another worker may have got there first
+    const { data: claimed, error: claimError } = await supabase
+      .from("messages")
+      .update({ status: "sending", updated_at: new Date().toISOString() })
+      .eq("id", message.id)
+      .eq("status", "queued")
+      .select("id");
+
+    if (claimError) throw claimError;
+    if (!claimed?.length) continue;
+
+    await sendOne(message, deliver);
+  }
+}
+
+export function startMessageWorker(deliver) {
+  const interval = Number(process.env.MESSAGE_QUEUE_POLL_MS) || 5000;
+  return schedule("message-queue", interval, () => processQueue(deliver));
+}
@@ -0,0 +1,147 @@
+import { routeLabel } from "./requestContext.js";
+import { logEvent } from "./logger.js";
+
+// 📈 Prometheus metrics, kept in process and rendered in the text exposition
+// format on /metrics. Counters and histograms only; label values must come
+// from small fixed sets (route patterns, channels, outcomes, tenants), never ids.
+
+const metrics = [];
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function counter(name, help) {
+  const values = new Map(); // labelKey → { labels, value }
+
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of values.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines.join("\n");
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const values = new Map(); // labelKey → { labels, counts, sum, count }
+
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of values.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join("\n");
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function gauge(name, help, read) {
+  metrics.push({
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`].join("\n"),
+  });
+}
+
+// --- HTTP ---
+export const httpRequests = counter("http_requests_total", "HTTP requests by method, route and status");
+export const httpDuration = histogram(
+  "http_request_duration_seconds",
+  "HTTP request latency by method and route",
+  [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+export const rateLimited = counter("rate_limited_total", "Requests rejected by a rate limiter");
+
+// --- Messages ---
+// Message counters share { channel, company, purpose } so failures can be traced
+// to a tenant and a kind of message (purpose "none" for customer sends)
+export const messagesQueued = counter("messages_queued_total", "Messages queued by channel, company, purpose and route");
+export const messagesSent = counter("messages_sent_total", "Messages handed to the provider by channel, company and purpose");
+export const messageFailures = counter(
+  "message_failures_total",
+  "Failed send attempts by channel, company and purpose (final=true when the message is dead)"
+);
+export const messagesSuppressed = counter(
+  "messages_suppressed_total",
+  "Messages skipped for opted-out recipients by channel, company and purpose"
+);
+export const quotaRejections = counter("quota_rejections_total", "Sends refused by a company quota, by channel and company");
+
+// --- Webhooks ---
+export const webhooksReceived = counter(
+  "webhooks_received_total",
+  "Inbound provider webhooks by source and outcome (accepted, rejected, duplicate, error)"
+);
+export const webhookDeliveries = counter(
+  "webhook_deliveries_total",
+  "Outbound company webhook attempts by event and outcome (succeeded, retry, failed)"
+);
+
+// --- Jobs + process ---
+export const jobRuns = counter("scheduled_job_runs_total", "Background job runs by job and outcome");
+
+const startedAt = Date.now();
+gauge("process_uptime_seconds", "Seconds since the server started", () => (Date.now() - startedAt) / 1000);
+gauge("process_resident_memory_bytes", "Resident memory size", () => process.memoryUsage().rss);
+gauge("nodejs_heap_used_bytes", "V8 heap in use", () => process.memoryUsage().heapUsed);
+
+// Probes and scrapes would drown out real traffic
+const QUIET_PATHS = ["/metrics", "/healthz", "/readyz"];
+
+// Latency + status per route, and one access log line per request
+export function observeRequests(req, res, next) {
+  if (QUIET_PATHS.includes(req.path)) return next();
+  const started = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeLabel(req);
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    logEvent(res.statusCode >= 500 ? "error" : "info", "request", {
+      method: req.method,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+      request_id: req.id,
+      user_id: req.user?.id,
+    });
+  });
+  next();
+}
+
+export function renderMetrics() {
+  return `${metrics.map((metric) => metric.render()).join("\n\n")}\n`;
+}
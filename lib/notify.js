@@ -0,0 +1,67 @@
+import { twilioTransport } from "./transports/twilio.js";
+import { sendgridTransport } from "./transports/sendgrid.js";
+import { createSandboxTransport } from "./transports/sandbox.js";
+import { getCompanySettings, senderAddress, DEFAULT_COMPANY_SETTINGS } from "./companySettings.js";
+
+// 🔔 Notification layer: picks SMS/email transports from the environment.
+//   NOTIFY_TRANSPORT=live    → Twilio + SendGrid (the default)
+//   NOTIFY_TRANSPORT=memory  → in-process sandbox (default when NODE_ENV is development/test)
+//   NOTIFY_TRANSPORT=file    → sandbox written to SANDBOX_OUTBOX_FILE
+// Anything short of an explicit choice sends for real, so a deploy that
+// forgets NODE_ENV can't quietly stop messaging customers.
+export const DEV_ENV = ["development", "test"].includes(process.env.NODE_ENV);
+
+const mode = process.env.NOTIFY_TRANSPORT || (DEV_ENV ? "memory" : "live");
+
+if (!["live", "memory", "file"].includes(mode)) {
+  throw new Error(`Unknown NOTIFY_TRANSPORT "${mode}" (use live, memory or file)`);
+}
+
+export const sandbox =
+  mode === "live"
+    ? null
+    : createSandboxTransport({ mode, file: process.env.SANDBOX_OUTBOX_FILE });
+
+export const smsTransport = sandbox || twilioTransport;
+export const emailTransport = sandbox || sendgridTransport;
+
+export const DEFAULT_FROM_EMAIL = DEFAULT_COMPANY_SETTINGS.sender_email;
+export const DEFAULT_SMS_FROM = DEFAULT_COMPANY_SETTINGS.sms_from;
+
+// Where Twilio posts delivery updates (see /twilio/status). The message id
+// rides along so a callback that beats us to storing the SID still matches.
+const STATUS_CALLBACK_URL = `${process.env.PUBLIC_BASE_URL || "https://bankbot-leads.onrender.com"}/twilio/status`;
+const statusCallbackFor = (message) => `${STATUS_CALLBACK_URL}?message_id=${encodeURIComponent(message.id)}`;
+
+export async function sendSms({ to, body, from = DEFAULT_SMS_FROM, statusCallback }) {
+  return smsTransport.sendSms({ to, from, body, statusCallback });
+}
+
+// `customArgs` come back on SendGrid Event Webhook events
+export async function sendEmail({ to, subject, text, from = DEFAULT_FROM_EMAIL, customArgs }) {
+  return emailTransport.sendEmail({ to, from, subject, text, customArgs });
+}
+
+// 📤 Delivers one queued `messages` row from its company's sender identity;
+// returns the provider's message id
+export async function deliverMessage(message) {
+  const settings = await getCompanySettings(message.company_name);
+
+  const { providerId } =
+    message.channel === "sms"
+      ? await sendSms({
+          to: message.recipient,
+          from: settings.sms_from,
+          body: message.body,
+          statusCallback: statusCallbackFor(message),
+        })
+      : await sendEmail({
+          to: message.recipient,
+          from: senderAddress(settings),
+          subject: message.subject,
+          text: message.body,
+          customArgs: { message_id: String(message.id) }, // SendGrid only takes strings
+        });
+
+  return providerId;
+}
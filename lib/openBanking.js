@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+import { schedule } from "./scheduler.js";
+import { enqueueMessages } from "./messageQueue.js";
+import { renderTemplate, buildTemplateVariables } from "./templates.js";
+import { getCompanySettings } from "./companySettings.js";
+import { emitEvent } from "./eventWebhooks.js";
+
+// 🏦 Open Banking requests: one row per request in `open_banking`, linked to
+// a lead, with a unique link and a lifecycle
+//   Sent → Opened → Consent Given → Completed (or Expired at any point)
+
+export const OB_STATUS = {
+  SENT: "Sent",
+  OPENED: "Opened",
+  CONSENT_GIVEN: "Consent Given",
+  COMPLETED: "Completed",
+  EXPIRED: "Expired",
+};
+
+// Position in the lifecycle; events never move a request backwards
+const ORDER = [OB_STATUS.SENT, OB_STATUS.OPENED, OB_STATUS.CONSENT_GIVEN, OB_STATUS.COMPLETED];
+const CLOSED = [OB_STATUS.COMPLETED, OB_STATUS.EXPIRED];
+
+const STATUS_TIMESTAMPS = {
+  [OB_STATUS.OPENED]: "opened_at",
+  [OB_STATUS.CONSENT_GIVEN]: "consent_at",
+  [OB_STATUS.COMPLETED]: "completed_at",
+  [OB_STATUS.EXPIRED]: "expired_at",
+};
+
+// Provider callback event names → status
+const PROVIDER_EVENTS = {
+  opened: OB_STATUS.OPENED,
+  consent_given: OB_STATUS.CONSENT_GIVEN,
+  completed: OB_STATUS.COMPLETED,
+  expired: OB_STATUS.EXPIRED,
+};
+
+const EXPIRY_DAYS = Number(process.env.OPEN_BANKING_EXPIRY_DAYS) || 7;
+const REMINDER_HOURS = Number(process.env.OPEN_BANKING_REMINDER_HOURS) || 24;
+const MAX_REMINDERS = Number(process.env.OPEN_BANKING_MAX_REMINDERS) || 2;
+const HOUR = 60 * 60 * 1000;
+
+// Creates the request row and returns it (with its unique link)
+export async function createOpenBankingRequest({ lead, companyName, customerName, phone }) {
+  const reference = crypto.randomBytes(18).toString("base64url");
+  const { public_base_url } = await getCompanySettings(companyName);
+  const now = new Date();
+
+  const { data, error } = await supabase
+    .from("open_banking")
+    .insert({
+      lead_id: lead.id,
+      company_name: companyName,
+      customer_name: customerName,
+      phone_number: phone,
+      reference,
+      link_url: `${public_base_url}/ob/${reference}`,
+      sent_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + EXPIRY_DAYS * 24 * HOUR).toISOString(),
+      status: OB_STATUS.SENT,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Message text for a request; the link is appended if the template has no {{open_banking_link}}
+export function openBankingMessage(templateBody, { lead, companyName, request }) {
+  const variables = buildTemplateVariables({
+    lead,
+    companyName,
+    openBankingLink: request.link_url,
+  });
+  const { text } = renderTemplate(templateBody, variables);
+  return text.includes(request.link_url) ? text : `${text}\n${request.link_url}`;
+}
+
+export async function findRequestByReference(reference) {
+  const { data, error } = await supabase
+    .from("open_banking")
+    .select("*")
+    .eq("reference", reference)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Moves a request forward; returns the updated row, or the unchanged one if
+// the status would be a step backwards or the request is already closed
+export async function advanceRequest(request, status) {
+  if (CLOSED.includes(request.status)) return request;
+  if (status !== OB_STATUS.EXPIRED && ORDER.indexOf(status) <= ORDER.indexOf(request.status)) {
+    return request;
+  }
+
+  const { data, error } = await supabase
+    .from("open_banking")
+    .update({ status, [STATUS_TIMESTAMPS[status]]: new Date().toISOString() })
+    .eq("id", request.id)
+    .eq("status", request.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) console.log(`🏦 Open Banking request ${request.id}: ${request.status} → ${status}`);
+
+  if (data?.status === OB_STATUS.COMPLETED) {
+    await emitEvent(data.company_name, "open_banking.completed", {
+      lead_id: data.lead_id,
+      request_id: data.id,
+      completed_at: data.completed_at,
+    });
+  }
+  return data || request;
+}
+
+// Customer followed the link: returns the request (marked Opened) or null if not usable
+export async function openRequest(reference) {
+  const request = await findRequestByReference(reference);
+  if (!request || CLOSED.includes(request.status)) return null;
+
+  if (new Date(request.expires_at) <= new Date()) {
+    await advanceRequest(request, OB_STATUS.EXPIRED);
+    return null;
+  }
+
+  return advanceRequest(request, OB_STATUS.OPENED);
+}
+
+// Provider callback: { reference, event: opened | consent_given | completed | expired }
+export async function applyProviderEvent({ reference, event }) {
+  const status = PROVIDER_EVENTS[event];
+  if (!status) return { handled: false, reason: `unknown event "${event}"` };
+
+  const request = await findRequestByReference(reference);
+  if (!request) return { handled: false, reason: "unknown reference" };
+
+  const updated = await advanceRequest(request, status);
+  return { handled: true, request: updated };
+}
+
+// --- Reminders + expiry ---
+async function reminderTemplate(companyName) {
+  const { data } = await supabase
+    .from("message_templates")
+    .select("body")
+    .eq("company_name", companyName)
+    .eq("type", "Open Banking Reminder")
+    .eq("channel", "sms")
+    .maybeSingle();
+
+  return (
+    data?.body ||
+    "Hi {{first_name | there}}, just a reminder to complete your Open Banking check for {{company_name}}: {{open_banking_link}}"
+  );
+}
+
+export async function runOpenBankingReminders() {
+  const now = new Date();
+
+  // Expire anything past its date that never finished
+  const { error: expireError } = await supabase
+    .from("open_banking")
+    .update({ status: OB_STATUS.EXPIRED, expired_at: now.toISOString() })
+    .in("status", [OB_STATUS.SENT, OB_STATUS.OPENED, OB_STATUS.CONSENT_GIVEN])
+    .not("reference", "is", null) // pre-lifecycle rows have no link to expire
+    .lte("expires_at", now.toISOString());
+
+  if (expireError) throw expireError;
+
+  // Stalled: not yet consented, and quiet since the last send/reminder
+  const quietSince = new Date(now.getTime() - REMINDER_HOURS * HOUR).toISOString();
+  const { data: stalled, error } = await supabase
+    .from("open_banking")
+    .select("*")
+    .in("status", [OB_STATUS.SENT, OB_STATUS.OPENED])
+    .not("reference", "is", null) // ...or to remind anyone about
+    .lt("reminders_sent", MAX_REMINDERS)
+    .or(`last_reminder_at.lte.${quietSince},and(last_reminder_at.is.null,sent_at.lte.${quietSince})`)
+    .limit(50);
+
+  if (error) throw error;
+
+  for (const request of stalled || []) {
+    try {
+      // Claim it so a second instance doesn't remind twice
+      const { data: claimed, error: claimError } = await supabase
+        .from("open_banking")
+        .update({ reminders_sent: request.reminders_sent + 1, last_reminder_at: now.toISOString() })
+        .eq("id", request.id)
+        .eq("reminders_sent", request.reminders_sent)
+        .select("id");
+
+      if (claimError) throw claimError;
+      if (!claimed?.length) continue;
+
+      const [first_name, ...rest] = String(request.customer_name || "").trim().split(/\s+/);
+      const body = openBankingMessage(await reminderTemplate(request.company_name), {
+        lead: { first_name, surname: rest.join(" ") },
+        companyName: request.company_name,
+        request,
+      });
+
+      await enqueueMessages([
+        {
+          channel: "sms",
+          to: request.phone_number,
+          leadId: request.lead_id,
+          companyName: request.company_name,
+          body,
+        },
+      ]);
+      console.log(`🏦 Queued Open Banking reminder ${request.reminders_sent + 1} for request ${request.id}`);
+    } catch (err) {
+      console.error(`❌ Open Banking reminder failed for ${request.id}:`, err.message);
+    }
+  }
+}
+
+export function startOpenBankingScheduler() {
+  const interval = Number(process.env.OPEN_BANKING_CHECK_MS) || 15 * 60 * 1000;
+  return schedule("open-banking-reminders", interval, runOpenBankingReminders);
+}
@@ -0,0 +1,198 @@
+import { DEFAULT_COMPANY_SETTINGS } from "./companySettings.js";
+import { LEAD_STATUS } from "./leadStatus.js";
+import { DECLINE_REASONS, formatLocalDateTime } from "./agentPortal.js";
+
+// 🧾 HTML for the agent-facing pages (status links / mini-portal). Lead data
+// and notes come from customers and agents, so everything is escaped.
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// 🎨 Company logo + colours
+function brandStyles(branding) {
+  return `
+          h2 { color: ${branding.primary_color}; }
+          .logo { max-height: 60px; max-width: 240px; margin-bottom: 20px; }`;
+}
+
+function brandLogo(branding) {
+  return branding.logo_url ? `<img class="logo" src="${escapeHtml(branding.logo_url)}" alt="" />` : "";
+}
+
+// Simple page for errors and confirmations
+export function renderMessagePage(title, message, branding = DEFAULT_COMPANY_SETTINGS) {
+  return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        <title>${escapeHtml(title)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; text-align: center; padding: 40px; background: #f9fafb; }${brandStyles(branding)}
+        </style>
+      </head>
+      <body>
+        ${brandLogo(branding)}
+        <h2>${escapeHtml(title)}</h2>
+        <p>${escapeHtml(message)}</p>
+      </body>
+      </html>
+    `;
+}
+
+// --- Mini-portal ---
+const fullName = (lead) => [lead.title, lead.first_name, lead.surname].filter(Boolean).join(" ");
+
+function detailRows(lead) {
+  const money = (v) => (v === null || v === undefined || v === "" ? "" : `£${v}`);
+  const rows = [
+    ["Phone", lead.phone_number && `<a href="tel:${escapeHtml(lead.phone_number)}">${escapeHtml(lead.phone_number)}</a>`],
+    ["Email", lead.email && `<a href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a>`],
+    ["Date of birth", escapeHtml(lead.dob)],
+    ["Amount", escapeHtml(money(lead.amount_requested))],
+    ["Term", lead.loan_term ? `${escapeHtml(lead.loan_term)} weeks` : ""],
+    ["Income", escapeHtml(money(lead.income))],
+    ["Reason", escapeHtml(lead.reason_for_borrowing)],
+    ["Address", [lead.address, lead.town, lead.postcode].filter(Boolean).map(escapeHtml).join(", ")],
+    ["Best time to call", escapeHtml(lead.best_call_time)],
+    ["Collection", escapeHtml(lead.method_collection)],
+    ["Status", escapeHtml(lead.status || LEAD_STATUS.NEW)],
+    ["Decline reason", escapeHtml(lead.decline_reason)],
+    ["Callback", lead.callback_at ? escapeHtml(formatLocalDateTime(lead.callback_at)) : ""],
+  ];
+
+  return rows
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`)
+    .join("");
+}
+
+function notesList(notes) {
+  if (!notes.length) return `<p class="muted">No notes yet.</p>`;
+  return `<ul class="notes">${notes
+    .map(
+      (n) => `<li><div>${escapeHtml(n.body).replace(/\n/g, "<br />")}</div>
+        <small class="muted">${escapeHtml(n.author)} · ${escapeHtml(formatLocalDateTime(n.created_at))}</small></li>`
+    )
+    .join("")}</ul>`;
+}
+
+function otherLeadsList(base, leads) {
+  if (!leads.length) return `<p class="muted">No other open leads.</p>`;
+  return `<ul class="leads">${leads
+    .map(
+      (l) => `<li><a href="${base}/leads/${encodeURIComponent(l.id)}">${escapeHtml(
+        [l.first_name, l.surname].filter(Boolean).join(" ") || "Unnamed lead"
+      )}</a>
+        <small class="muted">${escapeHtml([l.amount_requested && `£${l.amount_requested}`, l.town].filter(Boolean).join(" · "))}${
+        l.callback_at ? ` · 📞 ${escapeHtml(formatLocalDateTime(l.callback_at))}` : ""
+      }</small></li>`
+    )
+    .join("")}</ul>`;
+}
+
+// Full lead view with outcome, note and callback forms, plus the agent's other leads
+export function renderPortalPage({ token, branding, agentName, lead, notes, otherLeads, notice, error }) {
+  const base = `/portal/${encodeURIComponent(token)}`;
+  const action = `${base}/leads/${encodeURIComponent(lead.id)}`;
+  const open = lead.status === LEAD_STATUS.IN_PROGRESS;
+
+  return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        <title>${escapeHtml(fullName(lead))}</title>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 0; padding: 16px; background: #f9fafb; color: #111827; }
+          main { max-width: 560px; margin: 0 auto; }
+          section { background: white; border-radius: 8px; padding: 16px; margin-bottom: 16px; box-shadow: 0 1px 2px rgba(0,0,0,0.08); }
+          h3 { margin: 0 0 12px; font-size: 16px; }
+          table { width: 100%; border-collapse: collapse; }
+          th { text-align: left; color: #6b7280; font-weight: normal; padding: 6px 8px 6px 0; width: 40%; vertical-align: top; }
+          td { padding: 6px 0; word-break: break-word; }
+          label { display: block; margin: 8px 0 4px; color: #374151; }
+          select, textarea, input { width: 100%; box-sizing: border-box; padding: 10px; font-size: 16px; border: 1px solid #d1d5db; border-radius: 6px; }
+          textarea { min-height: 70px; }
+          button { width: 100%; margin-top: 12px; background: ${branding.primary_color}; color: white; border: none; padding: 12px; font-size: 16px; border-radius: 6px; cursor: pointer; }
+          button:hover { background: ${branding.accent_color}; }
+          .muted { color: #6b7280; }
+          .notice { background: #ecfdf5; color: #065f46; padding: 12px; border-radius: 6px; margin-bottom: 16px; }
+          .error { background: #fef2f2; color: #991b1b; padding: 12px; border-radius: 6px; margin-bottom: 16px; }
+          ul { list-style: none; padding: 0; margin: 0; }
+          li { padding: 8px 0; border-bottom: 1px solid #f3f4f6; }
+          li small { display: block; margin-top: 4px; }${brandStyles(branding)}
+        </style>
+      </head>
+      <body>
+        <main>
+          ${brandLogo(branding)}
+          <h2>${escapeHtml(fullName(lead))}</h2>
+          <p class="muted">Signed in as ${escapeHtml(agentName)}</p>
+          ${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ""}
+          ${error ? `<div class="error">${escapeHtml(error)}</div>` : ""}
+
+          <section>
+            <h3>Lead details</h3>
+            <table>${detailRows(lead)}</table>
+          </section>
+
+          ${open ? `
+          <section>
+            <h3>Update status</h3>
+            <form method="POST" action="${action}/status">
+              <label for="status">Outcome</label>
+              <select id="status" name="status" required>
+                <option value="${LEAD_STATUS.ISSUED}">✅ Issued</option>
+                <option value="${LEAD_STATUS.DECLINED}">❌ Declined</option>
+                <option value="${LEAD_STATUS.UNABLE_TO_CONTACT}">📞 Unable to Contact</option>
+                <option value="${LEAD_STATUS.NO_LONGER_NEEDED}">💭 No Longer Needed</option>
+              </select>
+              <label for="decline_reason">Decline reason (if declined)</label>
+              <select id="decline_reason" name="decline_reason">
+                <option value="">—</option>
+                ${DECLINE_REASONS.map((r) => `<option>${escapeHtml(r)}</option>`).join("")}
+              </select>
+              <label for="details">Details</label>
+              <textarea id="details" name="details" maxlength="2000"></textarea>
+              <button type="submit">Save outcome</button>
+            </form>
+          </section>
+
+          <section>
+            <h3>Schedule a callback</h3>
+            <form method="POST" action="${action}/callback">
+              <label for="callback_at">When</label>
+              <input id="callback_at" type="datetime-local" name="callback_at" required />
+              <label for="callback_note">Note</label>
+              <textarea id="callback_note" name="note" maxlength="2000"></textarea>
+              <button type="submit">Book callback</button>
+            </form>
+          </section>` : ""}
+
+          <section>
+            <h3>Notes</h3>
+            <form method="POST" action="${action}/notes">
+              <textarea name="note" maxlength="2000" required></textarea>
+              <button type="submit">Add note</button>
+            </form>
+            ${notesList(notes)}
+          </section>
+
+          <section>
+            <h3>Your other open leads</h3>
+            ${otherLeadsList(base, otherLeads)}
+          </section>
+        </main>
+      </body>
+      </html>
+    `;
+}
@@ -0,0 +1,227 @@
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+import { enqueueMessages } from "./messageQueue.js";
+import { quotaRejections } from "./metrics.js";
+
+// 📊 Per-company daily + monthly caps on SMS, email and voice calls.
+// Limits live in `company_quotas` (a missing row means the platform defaults
+// below; a null column means no cap). Usage is counted in `usage_counters`
+// through the increment_usage() function, so concurrent sends can't both
+// squeeze under the cap. Days and months are UTC.
+
+export const QUOTA_CHANNELS = ["sms", "email", "voice"];
+
+const envLimit = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+export const DEFAULT_QUOTAS = {
+  sms_daily: envLimit("QUOTA_SMS_DAILY", 500),
+  sms_monthly: envLimit("QUOTA_SMS_MONTHLY", 10000),
+  email_daily: envLimit("QUOTA_EMAIL_DAILY", 2000),
+  email_monthly: envLimit("QUOTA_EMAIL_MONTHLY", 40000),
+  voice_daily: envLimit("QUOTA_VOICE_DAILY", 100),
+  voice_monthly: envLimit("QUOTA_VOICE_MONTHLY", 2000),
+  // % of a cap at which admins are warned
+  warn_levels: (process.env.QUOTA_WARN_LEVELS || "80,100")
+    .split(",")
+    .map(Number)
+    .filter((n) => n > 0 && n <= 100),
+};
+
+const LABELS = { sms: "SMS", email: "emails", voice: "voice calls" };
+
+const CACHE_MS = 60 * 1000;
+const cache = new Map();
+
+export async function getQuotas(companyName) {
+  const cached = cache.get(companyName);
+  if (cached && cached.expires > Date.now()) return cached.quotas;
+
+  const { data, error } = await supabase
+    .from("company_quotas")
+    .select(Object.keys(DEFAULT_QUOTAS).join(", "))
+    .eq("company_name", companyName)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const quotas = data
+    ? { ...data, warn_levels: data.warn_levels?.length ? data.warn_levels : DEFAULT_QUOTAS.warn_levels }
+    : { ...DEFAULT_QUOTAS };
+
+  cache.set(companyName, { quotas, expires: Date.now() + CACHE_MS });
+  return quotas;
+}
+
+// Start of the current UTC day and month, as dates
+function periods(now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  return { day, month: `${day.slice(0, 7)}-01` };
+}
+
+async function increment(companyName, channel, amount, at = new Date()) {
+  const { day, month } = periods(at);
+  const { data, error } = await supabase.rpc("increment_usage", {
+    p_company: companyName,
+    p_channel: channel,
+    p_day: day,
+    p_month: month,
+    p_amount: amount,
+  });
+
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : data;
+  return { day: row?.day_used ?? 0, month: row?.month_used ?? 0 };
+}
+
+function quotaError(companyName, channel, period, limit) {
+  const err = httpError(
+    429,
+    `${companyName} has reached its ${period === "day" ? "daily" : "monthly"} limit of ${limit} ${LABELS[channel]}`
+  );
+  err.quota = { channel, period, limit };
+  return err;
+}
+
+// Counts `amount` sends against the company's caps, or throws a 429 (and
+// counts nothing) if that would go over either of them
+export async function reserveUsage(companyName, channel, amount = 1) {
+  if (!companyName || !amount) return;
+
+  const quotas = await getQuotas(companyName);
+  const used = await increment(companyName, channel, amount);
+
+  for (const period of ["day", "month"]) {
+    const limit = quotas[`${channel}_${period === "day" ? "daily" : "monthly"}`];
+    if (limit !== null && limit !== undefined && used[period] > limit) {
+      await increment(companyName, channel, -amount);
+      quotaRejections.inc({ channel, company: companyName });
+      throw quotaError(companyName, channel, period, limit);
+    }
+  }
+
+  try {
+    await warnOnUsage(companyName, channel, quotas, used, amount);
+  } catch (err) {
+    console.error(`❌ Usage warning check failed for ${companyName}:`, err.message);
+  }
+}
+
+// Gives back a reservation for something that was never sent. `at` is when it
+// was reserved, so a message that dies tomorrow frees up today's count.
+export async function releaseUsage(companyName, channel, amount = 1, at = new Date()) {
+  if (!companyName || !amount) return;
+  try {
+    await increment(companyName, channel, -amount, at);
+  } catch (err) {
+    console.error(`❌ Failed to release ${channel} usage for ${companyName}:`, err.message);
+  }
+}
+
+// Read-only check for routes that set things up before sending
+export async function assertWithinQuota(companyName, channel, amount = 1) {
+  const usage = await getUsage(companyName);
+  for (const period of ["daily", "monthly"]) {
+    const { used, limit } = usage.channels[channel][period];
+    if (limit !== null && used + amount > limit) {
+      throw quotaError(companyName, channel, period === "daily" ? "day" : "month", limit);
+    }
+  }
+}
+
+// --- Warnings ---
+// Each level is announced once per company + channel + period
+async function warnOnUsage(companyName, channel, quotas, used, amount) {
+  const { day, month } = periods();
+
+  for (const [period, start, key] of [["day", day, "daily"], ["month", month, "monthly"]]) {
+    const limit = quotas[`${channel}_${key}`];
+    if (!limit) continue;
+
+    for (const level of quotas.warn_levels) {
+      const threshold = Math.ceil((limit * level) / 100);
+      if (used[period] < threshold || used[period] - amount >= threshold) continue;
+
+      const { error } = await supabase.from("quota_warnings").insert({
+        company_name: companyName,
+        channel,
+        period,
+        period_start: start,
+        level,
+      });
+      if (error?.code === "23505") continue; // another instance got there first
+      if (error) throw error;
+
+      await notifyAdmins(companyName, channel, period, level, used[period], limit);
+    }
+  }
+}
+
+async function notifyAdmins(companyName, channel, period, level, used, limit) {
+  const { data: admins, error } = await supabase
+    .from("users")
+    .select("email, phone")
+    .eq("company_name", companyName)
+    .eq("role", "admin");
+
+  if (error) throw error;
+
+  const when = period === "day" ? "today" : "this month";
+  const body =
+    level >= 100
+      ? `⛔ ${companyName} has used all ${limit} ${LABELS[channel]} allowed ${when}. Further ${LABELS[channel]} are blocked until the limit resets.`
+      : `⚠️ ${companyName} has used ${used} of ${limit} ${LABELS[channel]} allowed ${when} (${level}%).`;
+
+  await enqueueMessages(
+    (admins || []).map((admin) => ({
+      channel: "email",
+      to: admin.email,
+      subject: `Usage ${level >= 100 ? "limit reached" : "warning"} - ${LABELS[channel]}`,
+      body,
+      companyName,
+      purpose: "quota_warning", // never blocked by the cap it warns about
+    }))
+  );
+  console.log(`📊 ${companyName}: ${channel} ${period} usage at ${level}% (${used}/${limit})`);
+}
+
+// --- Reporting ---
+export async function getUsage(companyName) {
+  const { day, month } = periods();
+  const quotas = await getQuotas(companyName);
+
+  const { data, error } = await supabase
+    .from("usage_counters")
+    .select("channel, period, period_start, used")
+    .eq("company_name", companyName)
+    .or(`and(period.eq.day,period_start.eq.${day}),and(period.eq.month,period_start.eq.${month})`);
+
+  if (error) throw error;
+
+  const usedFor = (channel, period) =>
+    data?.find((row) => row.channel === channel && row.period === period)?.used || 0;
+
+  const summary = (used, limit) => ({
+    used,
+    limit: limit ?? null,
+    remaining: limit === null || limit === undefined ? null : Math.max(limit - used, 0),
+    percent: limit ? Math.round((used / limit) * 100) : null,
+  });
+
+  return {
+    day,
+    month,
+    warn_levels: quotas.warn_levels,
+    channels: Object.fromEntries(
+      QUOTA_CHANNELS.map((channel) => [
+        channel,
+        {
+          daily: summary(usedFor(channel, "day"), quotas[`${channel}_daily`]),
+          monthly: summary(usedFor(channel, "month"), quotas[`${channel}_monthly`]),
+        },
+      ])
+    ),
+  };
+}
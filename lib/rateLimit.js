@@ -0,0 +1,79 @@
+import { rateLimited } from "./metrics.js";
+
+// 🚦 Fixed-window rate limiting kept in memory. Each instance counts on its
+// own, so with N web instances the effective limit is up to N × max — fine
+// for stopping runaway loops and abuse, not meant as exact accounting.
+
+// `key(req)` picks what is counted (an IP, a user id, ...); requests it
+// returns nothing for are let through. `max` may be a function of the request.
+export function rateLimit({ name, windowMs, max, key, message = "Too many requests, please slow down" }) {
+  const windows = new Map(); // key → { count, resetAt }
+
+  // Forget finished windows so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, window] of windows) {
+      if (window.resetAt <= now) windows.delete(id);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const limit = typeof max === "function" ? max(req) : max;
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    window.count += 1;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(limit - window.count, 0)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (window.count > limit) {
+      if (window.count === limit + 1) console.warn(`🚦 Rate limit "${name}" hit by ${id}`);
+      rateLimited.inc({ limiter: name });
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({ success: false, error: message });
+    }
+    next();
+  };
+}
+
+const perMinute = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Provider callbacks are signature-checked and arrive in bursts from a few
+// shared IPs, so a per-IP limit would only drop real events
+const PROVIDER_PATHS = ["/twilio/", "/sendgrid/", "/vapi/", "/lead-created", "/open-banking/callback"];
+
+// Every request except provider callbacks, per client IP
+export const ipLimit = rateLimit({
+  name: "ip",
+  windowMs: 60 * 1000,
+  max: perMinute("RATE_LIMIT_IP_PER_MINUTE", 300),
+  key: (req) => (PROVIDER_PATHS.some((path) => req.path.startsWith(path)) ? null : req.ip),
+});
+
+// Every signed-in request, per user (applied by requireAuth)
+export const userLimit = rateLimit({
+  name: "user",
+  windowMs: 60 * 1000,
+  max: perMinute("RATE_LIMIT_USER_PER_MINUTE", 120),
+  key: (req) => req.user?.id,
+});
+
+// Routes that cost money (calls, SMS, email), per user
+export const sendLimit = rateLimit({
+  name: "send",
+  windowMs: 60 * 1000,
+  max: perMinute("RATE_LIMIT_SEND_PER_MINUTE", 20),
+  key: (req) => req.user?.id,
+  message: "Too many sends in a short time, please wait a minute",
+});
@@ -0,0 +1,34 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+// 🧵 Per-request context (request id, matched route) that follows the request
+// through every await, so log lines and metrics can be tied back to it
+// without passing ids around. Scheduled jobs get a context too ({ job }).
+
+const storage = new AsyncLocalStorage();
+
+// Ids we accept from an upstream proxy / the dashboard
+const INCOMING_ID = /^[\w.:-]{1,100}$/;
+
+export function requestContext(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  storage.run({ requestId: req.id, req }, next);
+}
+
+export function runInContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function currentContext() {
+  return storage.getStore();
+}
+
+// Route pattern of the current request ("/jobs/:id"), "unmatched" before
+// routing or for 404s, "background" outside a request
+export function routeLabel(req = currentContext()?.req) {
+  if (!req) return "background";
+  return req.route ? `${req.baseUrl || ""}${req.route.path}` : "unmatched";
+}
@@ -0,0 +1,172 @@
+import { supabase } from "./supabase.js";
+import { LEAD_STATUS } from "./leadStatus.js";
+import { assignLeadToBranch, assignLeadToAgent } from "./assignments.js";
+
+// 🧭 Automatic lead routing. Each company has ordered `routing_rules`:
+//   match_type   "postcode_area" | "town" | "default"
+//   match_values e.g. ["M", "SK"] or ["Stockport"] (ignored for default)
+//   branch       branch the lead goes to
+//   agent_strategy "round_robin" | "least_open" | "capacity" | "none"
+
+export const MATCH_TYPES = ["postcode_area", "town", "default"];
+export const AGENT_STRATEGIES = ["round_robin", "least_open", "capacity", "none"];
+
+// "SK4 1AA" → "SK"
+export function postcodeArea(postcode) {
+  const match = String(postcode || "").trim().toUpperCase().match(/^[A-Z]{1,2}/);
+  return match ? match[0] : null;
+}
+
+// Field-level problems for a rule about to be saved
+export function validateRule(rule, index = 0) {
+  const errors = [];
+  const at = (field) => `rules[${index}].${field}`;
+
+  if (!MATCH_TYPES.includes(rule.match_type)) {
+    errors.push({ field: at("match_type"), message: `Must be one of ${MATCH_TYPES.join(", ")}` });
+  }
+  if (rule.match_type !== "default" && !(Array.isArray(rule.match_values) && rule.match_values.length)) {
+    errors.push({ field: at("match_values"), message: "At least one value is required" });
+  }
+  if (!rule.branch) {
+    errors.push({ field: at("branch"), message: "Branch is required" });
+  }
+  if (rule.agent_strategy && !AGENT_STRATEGIES.includes(rule.agent_strategy)) {
+    errors.push({ field: at("agent_strategy"), message: `Must be one of ${AGENT_STRATEGIES.join(", ")}` });
+  }
+
+  return errors;
+}
+
+export async function loadRoutingRules(companyName) {
+  const { data, error } = await supabase
+    .from("routing_rules")
+    .select("id, priority, match_type, match_values, branch, agent_strategy, active")
+    .eq("company_name", companyName)
+    .eq("active", true)
+    .order("priority", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+function ruleMatches(rule, lead) {
+  const values = (rule.match_values || []).map((v) => String(v).trim().toUpperCase());
+
+  if (rule.match_type === "postcode_area") {
+    const area = postcodeArea(lead.postcode);
+    return area && values.includes(area)
+      ? `postcode area ${area} is in [${values.join(", ")}]`
+      : null;
+  }
+  if (rule.match_type === "town") {
+    const town = String(lead.town || "").trim().toUpperCase();
+    return town && values.includes(town) ? `town ${lead.town} is in [${values.join(", ")}]` : null;
+  }
+  return rule.match_type === "default" ? "default rule" : null;
+}
+
+// Open ("In Progress") lead counts per agent name
+async function openLeadCounts(companyName, agentNames) {
+  const { data, error } = await supabase
+    .from("loan_applications")
+    .select("assigned_agent")
+    .eq("company_name", companyName)
+    .eq("status", LEAD_STATUS.IN_PROGRESS)
+    .in("assigned_agent", agentNames);
+
+  if (error) throw error;
+
+  const counts = Object.fromEntries(agentNames.map((name) => [name, 0]));
+  for (const row of data || []) counts[row.assigned_agent] += 1;
+  return counts;
+}
+
+// Picks an agent in the branch using the rule's strategy; returns { agent, reason }
+async function pickAgent(rule, companyName) {
+  const strategy = rule.agent_strategy || "none";
+  if (strategy === "none") return { agent: null, reason: "rule assigns branch only" };
+
+  const { data: agents, error } = await supabase
+    .from("agents")
+    .select("id, name, email, phone, capacity, last_assigned_at")
+    .eq("company_name", companyName)
+    .eq("branch", rule.branch);
+
+  if (error) throw error;
+  if (!agents?.length) return { agent: null, reason: `no agents in branch ${rule.branch}` };
+
+  if (strategy === "round_robin") {
+    const [agent] = [...agents].sort(
+      (a, b) => new Date(a.last_assigned_at || 0) - new Date(b.last_assigned_at || 0)
+    );
+    return { agent, reason: `round robin: ${agent.name} was assigned least recently` };
+  }
+
+  const counts = await openLeadCounts(companyName, agents.map((a) => a.name));
+
+  if (strategy === "least_open") {
+    const [agent] = [...agents].sort((a, b) => counts[a.name] - counts[b.name]);
+    return { agent, reason: `least open: ${agent.name} has ${counts[agent.name]} open leads` };
+  }
+
+  // capacity: most free slots, skipping anyone at or over their declared capacity
+  const withRoom = agents
+    .map((a) => ({ agent: a, free: (Number(a.capacity) || 0) - counts[a.name] }))
+    .filter((a) => a.free > 0)
+    .sort((a, b) => b.free - a.free);
+
+  if (!withRoom.length) return { agent: null, reason: "every agent in the branch is at capacity" };
+
+  const { agent, free } = withRoom[0];
+  return { agent, reason: `capacity: ${agent.name} has ${free} free of ${agent.capacity}` };
+}
+
+// 🔎 Works out where a lead would go, without changing anything
+export async function planRoute(lead) {
+  const rules = await loadRoutingRules(lead.company_name);
+  const explanation = [];
+
+  if (!rules.length) {
+    return { matched: false, rule: null, branch: null, agent: null, explanation: ["no active routing rules"] };
+  }
+
+  for (const rule of rules) {
+    const why = ruleMatches(rule, lead);
+    if (!why) {
+      explanation.push(`rule ${rule.priority} (${rule.match_type}) did not match`);
+      continue;
+    }
+
+    explanation.push(`rule ${rule.priority} matched: ${why} → branch ${rule.branch}`);
+    const { agent, reason } = await pickAgent(rule, lead.company_name);
+    explanation.push(reason);
+
+    return { matched: true, rule, branch: rule.branch, agent, explanation };
+  }
+
+  return { matched: false, rule: null, branch: null, agent: null, explanation };
+}
+
+// 🚚 Plans and applies the route using the normal branch/agent notification flows
+export async function routeLead(lead) {
+  const plan = await planRoute(lead);
+  if (!plan.matched) return plan;
+
+  const { lead: updatedLead } = await assignLeadToBranch({
+    leadId: lead.id,
+    branchId: plan.branch,
+    companyName: lead.company_name,
+  });
+
+  if (plan.agent) {
+    await assignLeadToAgent({
+      lead: updatedLead,
+      agent: plan.agent,
+      changedBy: "routing",
+      channel: "routing",
+    });
+  }
+
+  return plan;
+}
@@ -0,0 +1,25 @@
+import { runInContext } from "./requestContext.js";
+import { jobRuns } from "./metrics.js";
+
+// ⏱️ Tiny in-process scheduler: runs a task every N ms and never overlaps itself
+export function schedule(name, intervalMs, task) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runInContext({ job: name }, task); // log lines carry the job name
+      jobRuns.inc({ job: name, outcome: "ok" });
+    } catch (err) {
+      console.error(`❌ Scheduled job "${name}" failed:`, err.message);
+      jobRuns.inc({ job: name, outcome: "error" });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  console.log(`⏱️ Scheduled "${name}" every ${Math.round(intervalMs / 1000)}s`);
+  return timer;
+}
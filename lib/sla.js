@@ -0,0 +1,200 @@
+import { supabase } from "./supabase.js";
+import { schedule } from "./scheduler.js";
+import { enqueueMessages } from "./messageQueue.js";
+import { revokeIssueTokens } from "./issueTokens.js";
+import { LEAD_STATUS, changeLeadStatus } from "./leadStatus.js";
+import { runReport } from "./analytics.js";
+
+// ⏰ SLA timers for assigned leads. A lead sitting "In Progress" gets:
+//   1. a reminder to the agent after reminder_after_minutes
+//   2. an escalation to branch managers escalate_after_minutes after that
+//      (and, if the company wants it, the lead is unassigned)
+// Each breach is stored once per assignment in `sla_breaches`.
+
+export const DEFAULT_SLA_POLICY = {
+  reminder_after_minutes: Number(process.env.SLA_REMINDER_MINUTES) || 60,
+  escalate_after_minutes: Number(process.env.SLA_ESCALATE_MINUTES) || 120,
+  unassign_on_escalation: process.env.SLA_UNASSIGN_ON_ESCALATION === "true",
+};
+
+const MINUTE = 60 * 1000;
+
+export async function getSlaPolicy(companyName) {
+  const { data, error } = await supabase
+    .from("sla_policies")
+    .select("reminder_after_minutes, escalate_after_minutes, unassign_on_escalation")
+    .eq("company_name", companyName)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_SLA_POLICY, ...data };
+}
+
+export function validateSlaPolicy(policy) {
+  const errors = [];
+  for (const field of ["reminder_after_minutes", "escalate_after_minutes"]) {
+    const value = policy[field];
+    if (!Number.isInteger(value) || value <= 0) {
+      errors.push({ field, message: "Must be a whole number of minutes above 0" });
+    }
+  }
+  if (policy.unassign_on_escalation !== undefined && typeof policy.unassign_on_escalation !== "boolean") {
+    errors.push({ field: "unassign_on_escalation", message: "Must be true or false" });
+  }
+  return errors;
+}
+
+// Claims the breach; false if this assignment already had one of this kind
+async function recordBreach(lead, kind) {
+  const { error } = await supabase.from("sla_breaches").insert({
+    lead_id: lead.id,
+    company_name: lead.company_name,
+    assigned_agent: lead.assigned_agent,
+    assigned_branch: lead.assigned_branch,
+    assigned_time: lead.assigned_time,
+    kind,
+  });
+
+  if (error?.code === "23505") return false;
+  if (error) throw error;
+  return true;
+}
+
+// Un-claims a breach whose messages couldn't be queued, so the next sweep tries again
+async function releaseBreach(lead, kind) {
+  const { error } = await supabase
+    .from("sla_breaches")
+    .delete()
+    .eq("lead_id", lead.id)
+    .eq("assigned_time", lead.assigned_time)
+    .eq("kind", kind);
+
+  if (error) console.error(`❌ Failed to release SLA ${kind} for lead ${lead.id}:`, error.message);
+}
+
+// The breach is claimed before sending (so two instances can't both send);
+// it only stays recorded once `buildMessages`' recipients are actually queued
+async function queueForBreach(lead, kind, buildMessages) {
+  try {
+    const messages = await buildMessages();
+    await enqueueMessages(messages.map((m) => ({ ...m, leadId: lead.id, companyName: lead.company_name })));
+  } catch (err) {
+    await releaseBreach(lead, kind);
+    throw err;
+  }
+}
+
+async function sendReminder(lead) {
+  const message = `Reminder: ${lead.first_name || ""} ${lead.surname || ""} is still waiting for an update.
+Reply ISSUED, DECLINED or NOCONTACT, or use the link in your original lead message.`;
+
+  await queueForBreach(lead, "reminder", async () => {
+    const { data: agent, error } = await supabase
+      .from("agents")
+      .select("name, email, phone")
+      .eq("company_name", lead.company_name)
+      .eq("name", lead.assigned_agent)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!agent) return [];
+
+    return [
+      { channel: "sms", to: agent.phone, body: message },
+      { channel: "email", to: agent.email, subject: "Lead awaiting update", body: message },
+    ];
+  });
+}
+
+async function escalate(lead, policy) {
+  const waitedMinutes = Math.round((Date.now() - new Date(lead.assigned_time)) / MINUTE);
+  const message = `SLA breach: ${lead.first_name || ""} ${lead.surname || ""} has been with ${lead.assigned_agent} for ${waitedMinutes} minutes with no update.${
+    policy.unassign_on_escalation ? "\nThe lead has been unassigned and needs a new agent." : ""
+  }`;
+
+  await queueForBreach(lead, "escalation", async () => {
+    const { data: managers, error } = await supabase
+      .from("users")
+      .select("email, phone")
+      .eq("company_name", lead.company_name)
+      .eq("branch", lead.assigned_branch)
+      .eq("role", "manager")
+      .eq("lead_notifications", true);
+
+    if (error) throw error;
+
+    return (managers || []).flatMap((manager) => [
+      { channel: "sms", to: manager.phone, body: message },
+      { channel: "email", to: manager.email, subject: "Lead SLA breached", body: message },
+    ]);
+  });
+
+  // Only once the managers have been told
+  if (policy.unassign_on_escalation) {
+    await revokeIssueTokens(lead.id);
+    await changeLeadStatus({
+      leadId: lead.id,
+      to: LEAD_STATUS.NEW,
+      changedBy: "sla",
+      channel: "sla",
+      fields: { assigned_agent: null, assigned_time: null },
+    });
+  }
+}
+
+// 🔁 One pass over every open lead
+export async function runSlaSweep() {
+  const { data: leads, error } = await supabase
+    .from("loan_applications")
+    .select("id, company_name, first_name, surname, assigned_agent, assigned_branch, assigned_time")
+    .eq("status", LEAD_STATUS.IN_PROGRESS)
+    .not("assigned_time", "is", null);
+
+  if (error) throw error;
+
+  const policies = new Map();
+  const now = Date.now();
+
+  for (const lead of leads || []) {
+    try {
+      if (!policies.has(lead.company_name)) {
+        policies.set(lead.company_name, await getSlaPolicy(lead.company_name));
+      }
+      const policy = policies.get(lead.company_name);
+      const waited = now - new Date(lead.assigned_time).getTime();
+      const reminderAt = policy.reminder_after_minutes * MINUTE;
+      const escalateAt = reminderAt + policy.escalate_after_minutes * MINUTE;
+
+      if (waited >= escalateAt) {
+        if (await recordBreach(lead, "escalation")) {
+          console.log(`⏰ SLA escalation for lead ${lead.id}`);
+          await escalate(lead, policy);
+        }
+      } else if (waited >= reminderAt) {
+        if (await recordBreach(lead, "reminder")) {
+          console.log(`⏰ SLA reminder for lead ${lead.id}`);
+          await sendReminder(lead);
+        }
+      }
+    } catch (err) {
+      console.error(`❌ SLA check failed for lead ${lead.id}:`, err.message);
+    }
+  }
+}
+
+export function startSlaScheduler() {
+  const interval = Number(process.env.SLA_SWEEP_MS) || 60 * 1000;
+  return schedule("sla-sweep", interval, runSlaSweep);
+}
+
+// 📊 Breach counts per agent over the same range as TTI, counted in the database
+export async function countBreachesByAgent(companyName, branch, { from, to } = {}) {
+  const rows = await runReport("sla_breaches", { companyName, branch, from, to });
+
+  return Object.fromEntries(
+    rows.map((row) => [
+      row.group_key,
+      { reminders: Number(row.reminders), escalations: Number(row.escalations) },
+    ])
+  );
+}
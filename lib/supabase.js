@@ -0,0 +1,9 @@
+import "dotenv/config";
+import { createClient } from "@supabase/supabase-js";
+
+// --- Supabase ---
+// Shared service-role client so route helpers in lib/ hit the same connection
+export const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.VITE_SUPABASE_SERVICE_ROLE_KEY // ⚠️ service role key for server only
+);
@@ -0,0 +1,52 @@
+import { supabase } from "./supabase.js";
+import { normalisePhone, phoneVariants } from "./validation.js";
+
+// 🚫 Recipients who opted out (e.g. replied STOP). Checked before every send.
+// Phone numbers are stored in E.164; older rows may be in another format, so
+// lookups match every variant.
+
+function storedForm(recipient) {
+  return normalisePhone(recipient) || String(recipient).trim();
+}
+
+function lookupForms(recipient) {
+  const phone = normalisePhone(recipient);
+  return phone ? phoneVariants(phone) : [String(recipient).trim()];
+}
+
+export async function isSuppressed(recipient) {
+  if (!recipient) return false;
+
+  const { data, error } = await supabase
+    .from("message_suppressions")
+    .select("recipient")
+    .in("recipient", lookupForms(recipient))
+    .limit(1);
+
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+export async function suppressRecipient(recipient, { channel = "sms", reason, source } = {}) {
+  const { error } = await supabase.from("message_suppressions").upsert(
+    {
+      recipient: storedForm(recipient),
+      channel,
+      reason: reason || "opt-out",
+      source: source || "inbound_sms",
+      created_at: new Date().toISOString(),
+    },
+    { onConflict: "recipient" }
+  );
+
+  if (error) throw error;
+}
+
+export async function unsuppressRecipient(recipient) {
+  const { error } = await supabase
+    .from("message_suppressions")
+    .delete()
+    .in("recipient", lookupForms(recipient));
+
+  if (error) throw error;
+}
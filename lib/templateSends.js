@@ -0,0 +1,85 @@
+import { supabase } from "./supabase.js";
+import { httpError } from "./errors.js";
+import { enqueueEach } from "./messageQueue.js";
+import { assertWithinQuota } from "./quotas.js";
+import { renderTemplate, buildTemplateVariables } from "./templates.js";
+import { validate, validationError } from "./validation.js";
+import { LEAD_STATUS, normaliseStatus, assertTransition, changeLeadStatus } from "./leadStatus.js";
+
+// ✉️ Sends a company's templates of one type to a lead (used by /send-template
+// and the bulk send jobs). Template types that are outcome statuses
+// (e.g. "Declined") move the lead too.
+
+export async function loadTemplates(companyName, type) {
+  const { data: templates, error } = await supabase
+    .from("message_templates")
+    .select("channel, subject, body")
+    .eq("company_name", companyName)
+    .eq("type", type);
+
+  if (error) throw error;
+  if (!templates?.length) throw httpError(404, "No templates found");
+  return templates;
+}
+
+// Everything that can be checked is checked up front; then the lead's status
+// moves, then each channel is queued on its own. Returns { status, channels }.
+export async function sendTemplateToLead({ lead, type, companyName, changedBy, templates }) {
+  // 🚦 Check the status move before anything is sent
+  const newStatus = normaliseStatus(type) === LEAD_STATUS.NEW ? null : normaliseStatus(type);
+  if (newStatus) assertTransition(lead.status, newStatus);
+
+  templates ??= await loadTemplates(companyName, type);
+
+  // 📇 Each channel is checked on its own: a lead with only a phone still gets
+  // the SMS, and enqueueEach reports the email as skipped
+  const used = [...new Set(templates.map((t) => t.channel))];
+  const contact = {};
+  const invalid = {};
+  for (const channel of used) {
+    const field = channel === "sms" ? "phone_number" : "email";
+    const { value, errors } = validate({ [field]: { type: channel === "sms" ? "phone" : "email" } }, lead);
+    if (errors.length) invalid[channel] = { status: "skipped", reason: errors[0].message };
+    else if (value[field]) contact[channel] = value[field];
+  }
+  if (!Object.keys(contact).length) {
+    throw validationError(
+      used.map((channel) => ({
+        field: channel === "sms" ? "phone_number" : "email",
+        message: invalid[channel]?.reason || "Missing",
+      })),
+      "Lead cannot be contacted"
+    );
+  }
+
+  // 📊 Don't move the lead if the quota would stop the messages
+  for (const channel of Object.keys(contact)) await assertWithinQuota(companyName, channel);
+
+  // 🧩 Fill {{placeholders}} from this lead
+  const variables = buildTemplateVariables({ lead, companyName });
+  const messages = templates.map((t) => ({
+    channel: t.channel,
+    to: contact[t.channel] || null, // ✅ customer’s phone/email
+    leadId: lead.id,
+    companyName,
+    subject: t.subject
+      ? renderTemplate(t.subject, variables).text
+      : `Notification from ${companyName}`,
+    body: renderTemplate(t.body, variables).text,
+  }));
+
+  // 🔄 Update lead status when the template type is one
+  if (newStatus) {
+    await changeLeadStatus({
+      leadId: lead.id,
+      to: newStatus,
+      changedBy,
+      channel: "template",
+    });
+  }
+
+  // 📬 Queue one message per template (sms + email)
+  const channels = { ...(await enqueueEach(messages)), ...invalid };
+
+  return { status: newStatus, channels };
+}
@@ -0,0 +1,118 @@
+// ✉️ message_templates rendering: {{first_name}} or {{first_name | there}}
+// (the text after the pipe is used when the lead has no value)
+
+export const TEMPLATE_VARIABLES = [
+  "title",
+  "first_name",
+  "surname",
+  "full_name",
+  "amount_requested",
+  "loan_term",
+  "town",
+  "postcode",
+  "company_name",
+  "agent_name",
+  "branch",
+  "open_banking_link",
+];
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_]+)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g;
+
+// Names used in a template that we don't know how to fill
+export function findUnknownVariables(text) {
+  const unknown = new Set();
+  for (const [, name] of String(text || "").matchAll(PLACEHOLDER)) {
+    if (!TEMPLATE_VARIABLES.includes(name)) unknown.add(name);
+  }
+  return [...unknown];
+}
+
+// Field-level problems for a template about to be saved
+export function validateTemplate({ channel, subject, body }) {
+  const errors = [];
+
+  if (!["sms", "email"].includes(channel)) {
+    errors.push({ field: "channel", message: "Channel must be sms or email" });
+  }
+  if (!body || !String(body).trim()) {
+    errors.push({ field: "body", message: "Body is required" });
+  }
+
+  for (const [field, text] of [["subject", subject], ["body", body]]) {
+    for (const name of findUnknownVariables(text)) {
+      errors.push({ field, message: `Unknown variable {{${name}}}` });
+    }
+    const unclosed = String(text || "").replace(PLACEHOLDER, "");
+    if (/\{\{|\}\}/.test(unclosed)) {
+      errors.push({ field, message: "Malformed placeholder (check your {{ and }})" });
+    }
+  }
+
+  return errors;
+}
+
+// Fills placeholders; values that are missing with no default come back in `missing`
+export function renderTemplate(text, variables) {
+  const missing = new Set();
+
+  const rendered = String(text || "").replace(PLACEHOLDER, (match, name, fallback) => {
+    const value = variables[name];
+    if (value !== undefined && value !== null && String(value).trim() !== "") {
+      return String(value);
+    }
+    if (fallback !== undefined) return fallback;
+    missing.add(name);
+    return "";
+  });
+
+  return { text: rendered, missing: [...missing] };
+}
+
+// Values available to templates for a given lead
+export function buildTemplateVariables({ lead = {}, companyName, agentName, openBankingLink }) {
+  const fullName = [lead.first_name, lead.surname].filter(Boolean).join(" ");
+
+  return {
+    title: lead.title,
+    first_name: lead.first_name,
+    surname: lead.surname,
+    full_name: fullName,
+    amount_requested: lead.amount_requested,
+    loan_term: lead.loan_term,
+    town: lead.town,
+    postcode: lead.postcode,
+    company_name: companyName || lead.company_name,
+    agent_name: agentName || lead.assigned_agent,
+    branch: lead.assigned_branch,
+    open_banking_link: openBankingLink || process.env.OPEN_BANKING_LINK,
+  };
+}
+
+// --- SMS segments ---
+const GSM_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+const GSM_EXTENDED = "^{}\\[~]|€\f";
+
+// GSM-7 fits 160 chars (153 per part); anything else is UCS-2 at 70 (67 per part)
+export function countSmsSegments(text) {
+  const value = String(text || "");
+  const chars = [...value];
+  const isGsm = chars.every((c) => GSM_BASIC.includes(c) || GSM_EXTENDED.includes(c));
+
+  if (isGsm) {
+    const units = chars.reduce((n, c) => n + (GSM_EXTENDED.includes(c) ? 2 : 1), 0);
+    return {
+      encoding: "GSM-7",
+      characters: units,
+      segments: units === 0 ? 0 : units <= 160 ? 1 : Math.ceil(units / 153),
+    };
+  }
+
+  const units = value.length; // UTF-16 code units
+  return {
+    encoding: "UCS-2",
+    characters: units,
+    segments: units <= 70 ? 1 : Math.ceil(units / 67),
+  };
+}
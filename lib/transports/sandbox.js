@@ -0,0 +1,61 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// 🧪 Sandbox transport: records messages instead of sending them.
+// "memory" keeps the last few hundred in-process; "file" appends JSON lines.
+const MAX_IN_MEMORY = 500;
+
+export function createSandboxTransport({ mode = "memory", file } = {}) {
+  const outbox = [];
+  const outboxFile = file || path.resolve(".sandbox/outbox.jsonl");
+
+  function record(channel, message) {
+    const entry = {
+      id: `sandbox-${crypto.randomUUID()}`,
+      channel,
+      ...message,
+      recorded_at: new Date().toISOString(),
+    };
+
+    if (mode === "file") {
+      fs.mkdirSync(path.dirname(outboxFile), { recursive: true });
+      fs.appendFileSync(outboxFile, `${JSON.stringify(entry)}\n`);
+    } else {
+      outbox.push(entry);
+      if (outbox.length > MAX_IN_MEMORY) outbox.shift();
+    }
+
+    console.log(`🧪 Sandbox ${channel} to ${message.to} recorded (${entry.id})`);
+    return { providerId: entry.id };
+  }
+
+  return {
+    name: `sandbox-${mode}`,
+
+    async sendSms(message) {
+      return record("sms", message);
+    },
+
+    async sendEmail(message) {
+      return record("email", message);
+    },
+
+    // Newest first
+    list() {
+      if (mode !== "file") return [...outbox].reverse();
+      if (!fs.existsSync(outboxFile)) return [];
+      return fs
+        .readFileSync(outboxFile, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+        .reverse();
+    },
+
+    clear() {
+      outbox.length = 0;
+      if (mode === "file" && fs.existsSync(outboxFile)) fs.unlinkSync(outboxFile);
+    },
+  };
+}
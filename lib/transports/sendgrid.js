@@ -0,0 +1,17 @@
+import sgMail from "@sendgrid/mail";
+
+// 📧 Email via SendGrid — API key is set on first use so sandbox mode needs no credentials
+let configured = false;
+
+export const sendgridTransport = {
+  name: "sendgrid",
+
+  async sendEmail({ to, from, subject, text, customArgs }) {
+    if (!configured) {
+      sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+      configured = true;
+    }
+    const [response] = await sgMail.send({ to, from, subject, text, customArgs });
+    return { providerId: response?.headers?.["x-message-id"] };
+  },
+};
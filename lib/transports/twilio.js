@@ -0,0 +1,14 @@
+import twilio from "twilio";
+
+// 📩 SMS via Twilio — client is created on first use so sandbox mode needs no credentials
+let client;
+
+export const twilioTransport = {
+  name: "twilio",
+
+  async sendSms({ to, from, body, statusCallback }) {
+    client ??= twilio(process.env.TWILIO_SID, process.env.TWILIO_AUTH);
+    const sent = await client.messages.create({ body, from, to, statusCallback });
+    return { providerId: sent.sid };
+  },
+};
@@ -0,0 +1,165 @@
+import { httpError } from "./errors.js";
+
+// ✅ Lead payload validation + normalisation. Schemas are plain objects of
+// field → rule; `validate` returns the cleaned values and field-level errors
+// in the same { field, message } shape the template / SLA / routing checks use.
+
+// --- Phone numbers (E.164) ---
+// UK numbers may be written nationally (07700 900123); anything else needs
+// its country code (+353 1 234 5678 / 00353...). Returns "+447700900123" or null.
+export function normalisePhone(raw) {
+  if (raw === undefined || raw === null) return null;
+  const text = String(raw).trim().replace(/[\s().-]/g, "");
+  if (!text) return null;
+
+  let digits;
+  if (text.startsWith("+")) digits = text.slice(1);
+  else if (text.startsWith("00")) digits = text.slice(2);
+  else if (text.startsWith("44") && text.length === 12) digits = text;
+  else if (text.startsWith("0")) digits = `44${text.slice(1)}`;
+  else if (/^[1-9]\d{9}$/.test(text)) digits = `44${text}`; // UK number missing its 0
+  else return null;
+
+  if (!/^[1-9]\d{7,14}$/.test(digits)) return null;
+
+  // UK: 9-10 digit national number that doesn't itself start with 0
+  if (digits.startsWith("44") && !/^44[1-9]\d{8,9}$/.test(digits)) return null;
+
+  return `+${digits}`;
+}
+
+// Forms an E.164 number may have been stored in before normalisation
+export function phoneVariants(phone) {
+  if (!phone) return [];
+  return phone.startsWith("+44") ? [phone, `0${phone.slice(3)}`, phone.slice(1)] : [phone];
+}
+
+// --- UK postcodes ---
+// "sw1a1aa" → "SW1A 1AA"; null if it isn't a UK postcode
+const POSTCODE = /^([A-Z]{1,2}\d[A-Z\d]?|GIR)(\d[A-Z]{2})$/;
+
+export function normalisePostcode(raw) {
+  const compact = String(raw ?? "").toUpperCase().replace(/\s+/g, "");
+  const match = compact.match(POSTCODE);
+  return match ? `${match[1]} ${match[2]}` : null;
+}
+
+// --- Field types ---
+// Each returns { value } or { error }
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPES = {
+  string: (v) => (typeof v === "string" || typeof v === "number"
+    ? { value: String(v).trim() }
+    : { error: "Must be text" }),
+  id: (v) => (typeof v === "string" || Number.isInteger(v)
+    ? { value: v }
+    : { error: "Must be an id" }),
+  phone: (v) => {
+    const value = normalisePhone(v);
+    return value
+      ? { value }
+      : { error: "Must be a valid phone number (UK, or international with country code)" };
+  },
+  postcode: (v) => {
+    const value = normalisePostcode(v);
+    return value ? { value } : { error: "Must be a valid UK postcode" };
+  },
+  email: (v) => (EMAIL.test(String(v).trim())
+    ? { value: String(v).trim().toLowerCase() }
+    : { error: "Must be a valid email address" }),
+  // Amounts come in as "1500", "£1,500" or 1500
+  amount: (v) => {
+    const value = Number(String(v).replace(/[£,\s]/g, ""));
+    return Number.isFinite(value) && value > 0 ? { value } : { error: "Must be a number above 0" };
+  },
+  integer: (v) => {
+    const value = Number(String(v).trim());
+    return Number.isInteger(value) && value > 0 ? { value } : { error: "Must be a whole number above 0" };
+  },
+  object: (v) => (v && typeof v === "object" && !Array.isArray(v)
+    ? { value: v }
+    : { error: "Must be an object" }),
+};
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === "string" && !v.trim());
+
+// Validates `data` against `schema`; unknown fields pass through untouched
+export function validate(schema, data = {}, prefix = "") {
+  const value = { ...data };
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = `${prefix}${name}`;
+    const raw = data?.[name];
+
+    if (isBlank(raw)) {
+      if (rule.required) errors.push({ field, message: `${rule.label || name} is required` });
+      continue;
+    }
+
+    const result = TYPES[rule.type](raw);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+      continue;
+    }
+    value[name] = result.value;
+
+    if (rule.type === "object" && rule.schema) {
+      const nested = validate(rule.schema, raw, `${field}.`);
+      value[name] = nested.value;
+      errors.push(...nested.errors);
+    }
+  }
+
+  return { value, errors };
+}
+
+// 400 carrying the field list (see errorBody in errors.js)
+export function validationError(errors, message = "Invalid request") {
+  const err = httpError(400, message);
+  err.errors = errors;
+  return err;
+}
+
+// Throws a validation error unless `data` is valid; returns the cleaned values
+export function assertValid(schema, data, message) {
+  const { value, errors } = validate(schema, data);
+  if (errors.length) throw validationError(errors, message);
+  return value;
+}
+
+// Express middleware: checks req.body and swaps in the normalised values
+export function validateBody(schema, message) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: message || "Invalid request", errors });
+    }
+    req.body = value;
+    next();
+  };
+}
+
+// --- Schemas ---
+// A lead as stored in loan_applications (as sent by the Supabase webhook)
+export const LEAD_SCHEMA = {
+  company_name: { type: "string", required: true },
+  first_name: { type: "string" },
+  surname: { type: "string" },
+  email: { type: "email" },
+  phone_number: { type: "phone" },
+  postcode: { type: "postcode" },
+  amount_requested: { type: "amount" },
+  loan_term: { type: "integer" },
+};
+
+// Dashboard bodies that only reference a lead: { lead: { id } }
+export const LEAD_REF_SCHEMA = {
+  lead: { type: "object", required: true, schema: { id: { type: "id", required: true } } },
+};
+
+// Lead fields a message or call is about to use
+export const CONTACT_SCHEMA = {
+  phone_number: { type: "phone", required: true, label: "Phone number" },
+};
@@ -0,0 +1,309 @@
+import axios from "axios";
+import { supabase } from "./supabase.js";
+import { schedule } from "./scheduler.js";
+import { LEAD_STATUS, canTransition, changeLeadStatus } from "./leadStatus.js";
+import { assertValid, CONTACT_SCHEMA } from "./validation.js";
+import { emitEvent } from "./eventWebhooks.js";
+import { reserveUsage, releaseUsage } from "./quotas.js";
+
+// 📞 Vapi voice calls: placing calls, handling server messages, and retrying
+// unanswered calls inside the lead's preferred call time.
+
+const MAX_CALL_ATTEMPTS = Number(process.env.VAPI_MAX_CALL_ATTEMPTS) || 3;
+const RETRY_DELAY_MINUTES = Number(process.env.VAPI_RETRY_DELAY_MINUTES) || 60;
+const CALL_TIMEZONE = process.env.CALL_TIMEZONE || "Europe/London";
+
+// endedReason values that mean nobody picked up
+const NO_ANSWER_REASONS = [
+  "customer-did-not-answer",
+  "customer-busy",
+  "voicemail",
+  "silence-timed-out",
+];
+
+// --- Place a call ---
+export async function placeVapiCall(lead) {
+  // 👈 E.164 from the lead's phone_number (400 if it isn't a usable number)
+  const { phone_number: phone } = assertValid(CONTACT_SCHEMA, lead, "Lead cannot be called");
+  const attempt = (lead.call_attempts || 0) + 1;
+
+  const payload = {
+    assistantId: process.env.VAPI_ASSISTANT_ID,
+    phoneNumberId: process.env.VAPI_PHONE_NUMBER_ID,
+    customer: { number: phone },
+    assistantOverrides: {
+      variableValues: {
+        name: lead.first_name,
+        dob: lead.dob,
+        postcode: lead.postcode,
+        amount_requested: String(lead.amount_requested ?? ""),
+        preferred_call_time: lead.preferred_call_time || "",
+        reason_for_borrowing: lead.reason_for_borrowing || "",
+      },
+    },
+    metadata: {
+      lead_id: lead.id,
+      company_name: lead.company_name,
+      attempt,
+    },
+    webhookUrl: process.env.VAPI_WEBHOOK_URL
+  };
+
+  // 📊 Counts against the company's voice quota (429 once it's used up)
+  await reserveUsage(lead.company_name, "voice");
+
+  let resp;
+  try {
+    resp = await axios.post("https://api.vapi.ai/call", payload, {
+      headers: {
+        Authorization: `Bearer ${process.env.VAPI_API_KEY}`,
+        "Content-Type": "application/json"
+      },
+      timeout: 15000
+    });
+  } catch (err) {
+    await releaseUsage(lead.company_name, "voice");
+    throw err;
+  }
+
+  // One voice_call_1 row per call, filled in as events arrive
+  const { error: callError } = await supabase.from("voice_call_1").upsert(
+    {
+      vapi_call_id: resp.data.id,
+      lead_id: lead.id,
+      phone_number: phone,
+      status: resp.data.status || "queued",
+      attempt,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "vapi_call_id" }
+  );
+  if (callError) console.error("❌ Failed to store call:", callError.message);
+
+  const { error: leadError } = await supabase
+    .from("loan_applications")
+    .update({ call_attempts: attempt, next_call_at: null })
+    .eq("id", lead.id);
+  if (leadError) console.error("❌ Failed to update call attempts:", leadError.message);
+
+  return resp.data;
+}
+
+// --- Preferred call time windows ---
+const NAMED_WINDOWS = {
+  morning: [9, 12],
+  afternoon: [12, 17],
+  evening: [17, 20],
+  anytime: [9, 20],
+};
+
+// "Morning", "Evening", "10:00-14:00", "10-14" → [startHour, endHour)
+export function parseCallWindow(preferred) {
+  const text = String(preferred || "").trim().toLowerCase();
+  const named = Object.keys(NAMED_WINDOWS).find((name) => text.includes(name));
+  if (named) return NAMED_WINDOWS[named];
+
+  const range = text.match(/(\d{1,2})(?::\d{2})?\s*-\s*(\d{1,2})(?::\d{2})?/);
+  if (range) {
+    const [start, end] = [Number(range[1]), Number(range[2])];
+    if (start < end && end <= 24) return [start, end];
+  }
+
+  return NAMED_WINDOWS.anytime;
+}
+
+function localHour(date) {
+  return Number(
+    new Intl.DateTimeFormat("en-GB", { hour: "numeric", hourCycle: "h23", timeZone: CALL_TIMEZONE })
+      .format(date)
+  );
+}
+
+// First moment at or after `earliest` that falls in the lead's window (15 min steps)
+export function nextCallSlot(preferred, earliest) {
+  const [start, end] = parseCallWindow(preferred);
+  const step = 15 * 60 * 1000;
+
+  for (let t = earliest.getTime(); t < earliest.getTime() + 8 * 24 * 60 * 60 * 1000; t += step) {
+    const hour = localHour(new Date(t));
+    if (hour >= start && hour < end) return new Date(t);
+  }
+  return earliest;
+}
+
+// --- Outcomes ---
+// "no_answer" | "qualified" | "not_interested" | "completed"
+export function classifyOutcome(message) {
+  if (NO_ANSWER_REASONS.includes(message.endedReason)) return "no_answer";
+
+  const data = message.analysis?.structuredData || {};
+  const stated = String(data.outcome || "").toLowerCase().replace(/[\s-]+/g, "_");
+
+  if (stated === "qualified" || data.qualified === true) return "qualified";
+  if (stated === "not_interested" || data.interested === false) return "not_interested";
+  return "completed";
+}
+
+// Where an outcome moves the lead: qualified customers are picked up, a "no"
+// or running out of retries closes it; anything else leaves it where it is
+export function statusForOutcome(outcome, { retryScheduled = false } = {}) {
+  if (outcome === "qualified") return LEAD_STATUS.IN_PROGRESS;
+  if (outcome === "not_interested") return LEAD_STATUS.NO_LONGER_NEEDED;
+  if (outcome === "no_answer" && !retryScheduled) return LEAD_STATUS.UNABLE_TO_CONTACT;
+  return null;
+}
+
+// Returns the lead (null if it's gone)
+async function applyOutcome(leadId, outcome) {
+  const { data: lead, error } = await supabase
+    .from("loan_applications")
+    .select("id, status, company_name, call_attempts, preferred_call_time, assigned_time")
+    .eq("id", leadId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!lead) return null;
+
+  const update = { call_outcome: outcome };
+
+  if (outcome === "no_answer" && (lead.call_attempts || 0) < MAX_CALL_ATTEMPTS) {
+    const earliest = new Date(Date.now() + RETRY_DELAY_MINUTES * 60 * 1000);
+    update.next_call_at = nextCallSlot(lead.preferred_call_time, earliest).toISOString();
+  }
+
+  const { error: updateError } = await supabase
+    .from("loan_applications")
+    .update(update)
+    .eq("id", leadId);
+  if (updateError) throw updateError;
+
+  const to = statusForOutcome(outcome, { retryScheduled: Boolean(update.next_call_at) });
+  if (to && canTransition(lead.status, to)) {
+    await changeLeadStatus({
+      leadId,
+      to,
+      changedBy: "vapi",
+      channel: "voice",
+      // Qualified isn't an assignment: leave assigned_time (and the SLA clock) to whoever takes it
+      ...(to === LEAD_STATUS.IN_PROGRESS && { fields: { assigned_time: lead.assigned_time ?? null } }),
+    });
+  }
+
+  console.log(`📞 Call outcome for lead ${leadId}: ${outcome}${update.next_call_at ? " (retry scheduled)" : ""}`);
+  return lead;
+}
+
+// --- Server messages ---
+// Handles one Vapi server message; returns what was done (for logging)
+export async function handleVapiEvent(body) {
+  const message = body?.message || body || {};
+  const call = message.call || {};
+  const callId = call.id || message.id;
+  const leadId = call.metadata?.lead_id || message.metadata?.lead_id;
+  const type = message.type || "unknown";
+
+  if (!callId || !leadId) return { handled: false, type, reason: "no call id or lead_id" };
+
+  const base = {
+    vapi_call_id: callId,
+    lead_id: leadId,
+    phone_number: call.customer?.number || message.customer?.number,
+    updated_at: new Date().toISOString(),
+  };
+
+  if (type === "status-update") {
+    const { error } = await supabase
+      .from("voice_call_1")
+      .upsert({ ...base, status: message.status }, { onConflict: "vapi_call_id" });
+    if (error) throw error;
+    return { handled: true, type };
+  }
+
+  if (type === "end-of-call-report") {
+    const outcome = classifyOutcome(message);
+    const artifact = message.artifact || {};
+
+    const report = {
+      ...base,
+      status: "ended",
+      ended_reason: message.endedReason,
+      duration_seconds: message.durationSeconds ?? call.duration ?? null,
+      recording_url: artifact.recordingUrl || message.recordingUrl || null,
+      transcript: artifact.transcript || message.transcript || null,
+      summary: message.analysis?.summary || message.summary || null,
+      structured_data: message.analysis?.structuredData || null,
+      success_evaluation: message.analysis?.successEvaluation ?? null,
+      outcome,
+      started_at: message.startedAt || null,
+      ended_at: message.endedAt || new Date().toISOString(),
+    };
+
+    const { error } = await supabase.from("voice_call_1").upsert(report, { onConflict: "vapi_call_id" });
+    if (error) throw error;
+
+    const lead = await applyOutcome(leadId, outcome);
+    if (lead) {
+      // 📤 Transcript and recording stay with us; clients get the outcome
+      await emitEvent(lead.company_name, "call.completed", {
+        lead_id: leadId,
+        call_id: callId,
+        outcome,
+        ended_reason: report.ended_reason ?? null,
+        duration_seconds: report.duration_seconds,
+        summary: report.summary,
+        started_at: report.started_at,
+        ended_at: report.ended_at,
+      });
+    }
+    return { handled: true, type, outcome };
+  }
+
+  // transcript, speech-update, conversation-update, hang, ... — nothing to store
+  return { handled: false, type, reason: "ignored event type" };
+}
+
+// --- Retries ---
+export async function runCallRetries() {
+  const now = new Date().toISOString();
+  const { data: leads, error } = await supabase
+    .from("loan_applications")
+    .select("*")
+    .lte("next_call_at", now)
+    .or(`status.is.null,status.in.("${LEAD_STATUS.NEW}","${LEAD_STATUS.IN_PROGRESS}")`)
+    .limit(20);
+
+  if (error) throw error;
+
+  for (const lead of leads || []) {
+    // Claim the retry so a second instance doesn't dial too
+    const { data: claimed, error: claimError } = await supabase
+      .from("loan_applications")
+      .update({ next_call_at: null })
+      .eq("id", lead.id)
+      .eq("next_call_at", lead.next_call_at)
+      .select("id");
+
+    if (claimError) throw claimError;
+    if (!claimed?.length) continue;
+
+    try {
+      await placeVapiCall(lead);
+      console.log(`📞 Retried call for lead ${lead.id} (attempt ${(lead.call_attempts || 0) + 1})`);
+    } catch (err) {
+      console.error(`❌ Retry call failed for lead ${lead.id}:`, err.response?.data || err.message);
+
+      // Over the voice quota: keep the retry for later instead of dropping it
+      if (err.status === 429) {
+        await supabase
+          .from("loan_applications")
+          .update({ next_call_at: new Date(Date.now() + RETRY_DELAY_MINUTES * 60 * 1000).toISOString() })
+          .eq("id", lead.id);
+      }
+    }
+  }
+}
+
+export function startCallRetryScheduler() {
+  const interval = Number(process.env.VAPI_RETRY_CHECK_MS) || 60 * 1000;
+  return schedule("vapi-call-retries", interval, runCallRetries);
+}
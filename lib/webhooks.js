@@ -0,0 +1,222 @@
+import crypto from "crypto";
+import twilio from "twilio";
+import { supabase } from "./supabase.js";
+import { schedule } from "./scheduler.js";
+import { webhooksReceived } from "./metrics.js";
+
+// 🛡️ Inbound webhook verification + replay protection
+const TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+// Seen ids are kept long enough to outlast every provider's retry schedule
+const EVENT_RETENTION_DAYS = Number(process.env.WEBHOOK_EVENT_RETENTION_DAYS) || 7;
+
+// Constant-time compare that doesn't throw on length mismatch
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a ?? ""));
+  const right = Buffer.from(String(b ?? ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function hmacHex(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+// Accepts unix seconds or milliseconds
+function isFresh(timestamp) {
+  const value = Number(timestamp);
+  if (!Number.isFinite(value) || value <= 0) return false;
+  const seconds = value > 1e12 ? value / 1000 : value;
+  return Math.abs(Date.now() / 1000 - seconds) <= TOLERANCE_SECONDS;
+}
+
+// --- Supabase database webhook ---
+// Either an HMAC of `${timestamp}.${rawBody}` in x-webhook-signature, or the
+// shared secret as a static x-webhook-secret header (what Supabase can send).
+function verifySupabase(req) {
+  const secret = process.env.SUPABASE_WEBHOOK_SECRET;
+  if (!secret) return { ok: false, reason: "SUPABASE_WEBHOOK_SECRET not configured" };
+
+  const signature = req.get("x-webhook-signature");
+  const timestamp = req.get("x-webhook-timestamp");
+
+  if (signature) {
+    if (!isFresh(timestamp)) return { ok: false, reason: "stale or missing timestamp" };
+    const expected = hmacHex(secret, `${timestamp}.${req.rawBody || ""}`);
+    if (!safeEqual(signature, expected)) return { ok: false, reason: "bad signature" };
+  } else if (!safeEqual(req.get("x-webhook-secret"), secret)) {
+    return { ok: false, reason: "bad secret" };
+  }
+
+  // A row is only inserted once, so table + type + id identifies the event
+  const { type, table, record } = req.body || {};
+  const eventId = req.get("x-webhook-id") || `${table}:${type}:${record?.id}`;
+
+  return { ok: true, eventId };
+}
+
+// --- Vapi server messages ---
+// Vapi sends the assistant's server secret as x-vapi-secret
+function verifyVapi(req) {
+  const secret = process.env.VAPI_SERVER_SECRET;
+  if (!secret) return { ok: false, reason: "VAPI_SERVER_SECRET not configured" };
+
+  if (!safeEqual(req.get("x-vapi-secret"), secret)) {
+    return { ok: false, reason: "bad secret" };
+  }
+
+  const message = req.body?.message || req.body || {};
+  if (!isFresh(message.timestamp)) return { ok: false, reason: "stale or missing timestamp" };
+
+  const callId = message.call?.id || message.id;
+  return { ok: true, eventId: `${callId}:${message.type || message.status}:${message.timestamp}` };
+}
+
+// --- Twilio (inbound SMS, status callbacks) ---
+// X-Twilio-Signature is computed over the public URL Twilio called + form params
+function verifyTwilio(req) {
+  const authToken = process.env.TWILIO_AUTH;
+  if (!authToken) return { ok: false, reason: "TWILIO_AUTH not configured" };
+
+  const baseUrl = process.env.PUBLIC_BASE_URL || "https://bankbot-leads.onrender.com";
+  const valid = twilio.validateRequest(
+    authToken,
+    req.get("x-twilio-signature") || "",
+    `${baseUrl}${req.originalUrl}`,
+    req.body || {}
+  );
+  if (!valid) return { ok: false, reason: "bad signature" };
+
+  // Twilio has no timestamp; MessageSid (+ status for callbacks) is unique per event
+  const { MessageSid, SmsSid, MessageStatus } = req.body || {};
+  return { ok: true, eventId: `${MessageSid || SmsSid}:${MessageStatus || "inbound"}` };
+}
+
+// --- Open Banking provider callbacks ---
+// HMAC of `${timestamp}.${rawBody}` in x-signature, timestamp in x-timestamp
+function verifyOpenBanking(req) {
+  const secret = process.env.OPEN_BANKING_WEBHOOK_SECRET;
+  if (!secret) return { ok: false, reason: "OPEN_BANKING_WEBHOOK_SECRET not configured" };
+
+  const timestamp = req.get("x-timestamp");
+  if (!isFresh(timestamp)) return { ok: false, reason: "stale or missing timestamp" };
+
+  const expected = hmacHex(secret, `${timestamp}.${req.rawBody || ""}`);
+  if (!safeEqual(req.get("x-signature"), expected)) return { ok: false, reason: "bad signature" };
+
+  const { event_id, reference, event } = req.body || {};
+  return { ok: true, eventId: event_id || `${reference}:${event}` };
+}
+
+// --- SendGrid Event Webhook (signed) ---
+// ECDSA signature over timestamp + raw body, checked with the webhook's public key
+function verifySendgrid(req) {
+  const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+  if (!publicKey) return { ok: false, reason: "SENDGRID_WEBHOOK_PUBLIC_KEY not configured" };
+
+  const signature = req.get("x-twilio-email-event-webhook-signature");
+  const timestamp = req.get("x-twilio-email-event-webhook-timestamp");
+  if (!signature) return { ok: false, reason: "missing signature" };
+  if (!isFresh(timestamp)) return { ok: false, reason: "stale or missing timestamp" };
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(publicKey, "base64"),
+      format: "der",
+      type: "spki",
+    });
+    const valid = crypto.verify(
+      "sha256",
+      Buffer.from(`${timestamp}${req.rawBody || ""}`),
+      key,
+      Buffer.from(signature, "base64")
+    );
+    if (!valid) return { ok: false, reason: "bad signature" };
+  } catch (err) {
+    return { ok: false, reason: `signature check failed: ${err.message}` };
+  }
+
+  // A batch has no id of its own; the body hash identifies it
+  const eventId = crypto.createHash("sha256").update(req.rawBody || "").digest("hex");
+  return { ok: true, eventId };
+}
+
+const verifiers = {
+  supabase: verifySupabase,
+  vapi: verifyVapi,
+  twilio: verifyTwilio,
+  open_banking: verifyOpenBanking,
+  sendgrid: verifySendgrid,
+};
+
+// Returns false when this source/event id pair has been seen before
+export async function recordWebhookEvent(source, eventId) {
+  const { error } = await supabase
+    .from("webhook_events")
+    .insert({ source, event_id: eventId });
+
+  if (error?.code === "23505") return false; // unique_violation → replay
+  if (error) throw error;
+  return true;
+}
+
+// Forgets an event so the provider's retry is processed instead of ignored
+export async function releaseWebhookEvent(source, eventId) {
+  const { error } = await supabase
+    .from("webhook_events")
+    .delete()
+    .eq("source", source)
+    .eq("event_id", eventId);
+
+  if (error) console.error(`❌ Failed to release ${source} webhook ${eventId}:`, error.message);
+}
+
+// 🚪 Middleware: 401 for anything unverified, short-circuit replays with 200
+// (`duplicateResponse` lets Twilio routes answer with empty TwiML instead of JSON).
+// The id is claimed before the handler runs so concurrent deliveries can't both
+// process it, and released again if the handler answers 5xx.
+export function verifyWebhook(source, { duplicateResponse } = {}) {
+  const verify = verifiers[source];
+
+  return async (req, res, next) => {
+    const result = verify(req);
+
+    if (!result.ok) {
+      console.warn(`⚠️ Rejected ${source} webhook: ${result.reason}`);
+      webhooksReceived.inc({ source, outcome: "rejected" });
+      return res.status(401).json({ success: false, error: "Unverified webhook" });
+    }
+
+    try {
+      const isNew = await recordWebhookEvent(source, result.eventId);
+      if (!isNew) {
+        console.warn(`⚠️ Ignoring replayed ${source} webhook ${result.eventId}`);
+        webhooksReceived.inc({ source, outcome: "duplicate" });
+        if (duplicateResponse) return duplicateResponse(res);
+        return res.json({ success: true, duplicate: true });
+      }
+    } catch (err) {
+      console.error(`❌ Error recording ${source} webhook:`, err.message);
+      webhooksReceived.inc({ source, outcome: "error" });
+      return res.status(500).json({ success: false, error: "Could not record webhook" });
+    }
+
+    webhooksReceived.inc({ source, outcome: "accepted" });
+    res.on("finish", () => {
+      if (res.statusCode >= 500) releaseWebhookEvent(source, result.eventId);
+    });
+    next();
+  };
+}
+
+export async function pruneWebhookEvents() {
+  const cutoff = new Date(Date.now() - EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const { error } = await supabase
+    .from("webhook_events")
+    .delete()
+    .lt("received_at", cutoff.toISOString());
+
+  if (error) throw error;
+}
+
+export function startWebhookEventCleanup() {
+  return schedule("webhook-events", 60 * 60 * 1000, pruneWebhookEvents);
+}
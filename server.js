@@ -1,421 +1,717 @@
+import { redactConsole } from "./lib/logger.js";
 import express from "express";
-import twilio from "twilio";
-import sgMail from "@sendgrid/mail";
-import { createClient } from "@supabase/supabase-js";
 import dotenv from "dotenv";
 import cors from "cors";
-import crypto from "crypto";
-import axios from "axios";
-
-// 🔑 Generate a unique token for marking issued
-function generateIssueToken(leadId) {
-  const token = crypto.randomBytes(16).toString("hex");
-  return `${leadId}-${token}`;
-}
+import { supabase } from "./lib/supabase.js";
+import { errorBody } from "./lib/errors.js";
+import { idempotent, startIdempotencyCleanup } from "./lib/idempotency.js";
+import { ipLimit, sendLimit } from "./lib/rateLimit.js";
+import { requestContext } from "./lib/requestContext.js";
+import { observeRequests, renderMetrics } from "./lib/metrics.js";
+import { checkConfig, checkReadiness } from "./lib/health.js";
+import { getUsage, assertWithinQuota } from "./lib/quotas.js";
+import { IssueTokenError } from "./lib/issueTokens.js";
+import {
+  requireAuth,
+  requireRole,
+  scopeToUser,
+  loadScopedLead,
+} from "./lib/auth.js";
+import twilio from "twilio";
+import { verifyWebhook, safeEqual, startWebhookEventCleanup } from "./lib/webhooks.js";
+import {
+  validateTemplate,
+  renderTemplate,
+  buildTemplateVariables,
+  countSmsSegments,
+} from "./lib/templates.js";
+import { enqueueMessages, startMessageWorker } from "./lib/messageQueue.js";
+import { deliverMessage, sandbox, DEV_ENV, smsTransport, emailTransport } from "./lib/notify.js";
+import { LEAD_STATUS, changeLeadStatus } from "./lib/leadStatus.js";
+import { handleInboundSms } from "./lib/inboundSms.js";
+import { assignLeadToBranch, assignLeadToAgent, assertCompanyBranch } from "./lib/assignments.js";
+import { validateRule, planRoute, routeLead } from "./lib/routing.js";
+import {
+  getSlaPolicy,
+  validateSlaPolicy,
+  countBreachesByAgent,
+  startSlaScheduler,
+} from "./lib/sla.js";
+import { runReport } from "./lib/analytics.js";
+import { toCsv } from "./lib/csv.js";
+import { importLeads } from "./lib/leadImport.js";
+import { sendTemplateToLead } from "./lib/templateSends.js";
+import { createBulkSendJob, getJob, startBulkJobWorker } from "./lib/bulkJobs.js";
+import { DIGEST_FREQUENCIES, startDigestScheduler } from "./lib/digests.js";
+import { placeVapiCall, handleVapiEvent, startCallRetryScheduler } from "./lib/vapi.js";
+import {
+  createOpenBankingRequest,
+  openBankingMessage,
+  openRequest,
+  applyProviderEvent,
+  startOpenBankingScheduler,
+} from "./lib/openBanking.js";
+import { applyDeliveryEvent, mapTwilioStatus, mapSendgridEvent } from "./lib/deliveryStatus.js";
+import {
+  WEBHOOK_EVENTS,
+  emitEvent,
+  leadSnapshot,
+  validateSubscription,
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  rotateSecret,
+  sendTestEvent,
+  listDeliveries,
+  loadDelivery,
+  redeliver,
+  startWebhookWorker,
+} from "./lib/eventWebhooks.js";
+import {
+  getCompanySettings,
+  validateCompanySettings,
+  saveCompanySettings,
+} from "./lib/companySettings.js";
+import {
+  openPortal,
+  loadAgentLead,
+  listOpenLeads,
+  listNotes,
+  addNote,
+  updateLeadFromPortal,
+  scheduleCallback,
+  formatLocalDateTime,
+  startCallbackReminderScheduler,
+} from "./lib/agentPortal.js";
+import { renderMessagePage, renderPortalPage } from "./lib/portalPages.js";
+import { exportApplicant, eraseApplicant, startRetentionScheduler } from "./lib/gdpr.js";
+import {
+  detectDuplicates,
+  listDuplicates,
+  loadDuplicate,
+  dismissDuplicate,
+  mergeDuplicate,
+} from "./lib/duplicates.js";
+import {
+  validate,
+  validateBody,
+  assertValid,
+  validationError,
+  LEAD_SCHEMA,
+  LEAD_REF_SCHEMA,
+  CONTACT_SCHEMA,
+} from "./lib/validation.js";
 
 dotenv.config();
+redactConsole(); // 🙈 no PII in logs
+
+// ⚠️ Token failures get a readable page; anything else is a real server error
+// (the token may be bad, so these pages use the default branding)
+function sendTokenError(res, err, fallback) {
+  if (err instanceof IssueTokenError) {
+    return res
+      .status(err.status)
+      .send(renderMessagePage("Link unavailable", `${err.message} Please contact your manager if you still need to update this lead.`));
+  }
+  if (err.status && err.status < 500) {
+    return res.status(err.status).send(renderMessagePage("Lead not updated", err.message));
+  }
+  return res.status(500).send(renderMessagePage("Something went wrong", fallback));
+}
 
 const app = express();
 
-// 🔓 Allow frontend (Vite default is 5173)
+// Behind the hosting proxy: req.ip is the client, not the load balancer
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
+// 🧵 Request id on every request (logs, X-Request-Id header) + latency metrics
+app.use(requestContext);
+app.use(observeRequests);
+
+// 🔓 Allow the dashboard (and Vite dev server on 5173) — override with CORS_ORIGINS
+const corsOrigins = (
+  process.env.CORS_ORIGINS || "https://handy-digital-leads.co.uk,http://localhost:5173"
+)
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
 app.use(cors({
-  origin: "*", // or "*" for testing all origins
-  methods: ["GET", "POST"],
-  allowedHeaders: ["Content-Type"]
+  origin: corsOrigins,
+  methods: ["GET", "POST", "PUT"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key", "X-Request-Id"],
+  exposedHeaders: [
+    "X-Request-Id",
+    "Idempotent-Replayed",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "Retry-After",
+  ]
 }));
 
-app.use(express.json());
+// --- 🩺 Health + metrics ---
+// Mounted before the rate limiter so frequent orchestrator probes and scrapes
+// can never be throttled into looking unhealthy
 
-// --- Supabase ---
-const supabase = createClient(
-  process.env.VITE_SUPABASE_URL,
-  process.env.VITE_SUPABASE_SERVICE_ROLE_KEY // ⚠️ service role key for server only
-);
+// Liveness: required configuration is present (no network calls)
+app.get("/healthz", (req, res) => {
+  const checks = checkConfig();
+  const ok = Object.values(checks).every((check) => check.ok || !check.required);
+  res.status(ok ? 200 : 503).json({ status: ok ? "ok" : "misconfigured", uptime: Math.round(process.uptime()), checks });
+});
 
-// --- Twilio ---
-const twilioClient = twilio(
-  process.env.TWILIO_SID,
-  process.env.TWILIO_AUTH
-);
-const twilioNumber = process.env.TWILIO_NUMBER;
+// Readiness: Supabase (and Twilio / SendGrid when live) can be reached
+app.get("/readyz", async (req, res) => {
+  try {
+    const { ok, checks } = await checkReadiness();
+    res.status(ok ? 200 : 503).json({ status: ok ? "ready" : "not_ready", checks });
+  } catch (err) {
+    console.error("❌ Readiness check failed:", err);
+    res.status(503).json({ status: "not_ready", error: err.message });
+  }
+});
+
+// Prometheus scrape; set METRICS_TOKEN to require "Authorization: Bearer <token>"
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !safeEqual(req.get("authorization"), `Bearer ${token}`)) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
 
+// 🚦 Per-IP limit on every route (per-user limits are applied by requireAuth)
+app.use(ipLimit);
 
-// --- SendGrid ---
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString("utf8");
+  },
+}));
+app.use(express.urlencoded({ extended: false })); // Twilio posts form-encoded
 
 // --- Test route ---
 app.get("/", (req, res) => {
   res.send("BankBot local server running 🚀");
 });
 
+// --- 🧪 Sandbox outbox (dev only: every message the sandbox transport recorded) ---
+// Unauthenticated and full of message bodies, so never outside development/test
+if (sandbox && DEV_ENV) {
+  app.get("/sandbox/outbox", (req, res) => {
+    const { channel } = req.query;
+    const messages = sandbox.list().filter((m) => !channel || m.channel === channel);
+    res.json({ success: true, transport: sandbox.name, count: messages.length, messages });
+  });
+
+  app.delete("/sandbox/outbox", (req, res) => {
+    sandbox.clear();
+    res.json({ success: true, message: "Sandbox outbox cleared" });
+  });
+}
+
 
 
 // --- Assign lead route ---
 // --- Assign lead route ---
-app.post("/assign-lead", async (req, res) => {
-  const { lead, agentId } = req.body;
+const assignLeadBody = validateBody({
+  ...LEAD_REF_SCHEMA,
+  agentId: { type: "id", required: true },
+});
 
-  if (!lead || !agentId) {
-    return res.status(400).json({ success: false, error: "Missing lead or agentId" });
-  }
+// Send an Idempotency-Key header to make double-clicks / retries safe
+app.post("/assign-lead", requireAuth, requireRole("admin", "manager"), sendLimit, assignLeadBody, idempotent("assign-lead"), async (req, res) => {
+  const { agentId } = req.body;
 
   try {
-    // 🔍 Fetch agent details from Supabase by ID
+    // 🔍 Load the lead from the caller's own company/branch (never trust the body copy)
+    const lead = await loadScopedLead(req.user, req.body.lead.id);
+
+    // 🔍 Fetch agent details from Supabase by ID (same company only)
     const { data: agent, error } = await supabase
       .from("agents")
       .select("id, name, email, phone")
       .eq("id", agentId)
+      .eq("company_name", req.user.company_name)
       .single();
 
     if (error || !agent) throw new Error("Agent not found");
 
-    // 🔑 Generate secure token + link
-    const token = generateIssueToken(lead.id);
-    const issueLink = `https://bankbot-leads.onrender.com/mark-issued/${token}`;
-
-    // 📩 SMS via Twilio
-    await twilioClient.messages.create({
-      body: 
-`New lead assigned:
-
-${lead.title || ""} ${lead.first_name || ""} ${lead.surname || ""}
-Amount Requested: ${lead.amount_requested || ""} over ${lead.loan_term || ""} weeks
-Address: ${lead.address || ""}
-Town: ${lead.town || ""}
-Postcode: ${lead.postcode || ""}
-Best Time To Call: ${lead.best_call_time || ""}
-Phone Number: ${lead.phone_number || ""}
-
-Mark as Issued: ${issueLink}`,
-      from: twilioNumber,
-      to: agent.phone,
+    // The lead is assigned even if a notification can't be queued; channels says which
+    const { lead: updated, channels } = await assignLeadToAgent({
+      lead,
+      agent,
+      changedBy: req.user.email,
+      channel: "dashboard",
+      requestedBy: req.user.id,
     });
 
-    // 📧 Email via SendGrid (optional — includes issue link too)
-    await sgMail.send({
-      to: agent.email,
-      from: "info@handy-digital.com",
-      subject: `New Lead Assigned - ${lead.first_name || ""} ${lead.surname || ""}`,
-      text: 
-`New lead assigned:
-
-${lead.title || ""} ${lead.first_name || ""} ${lead.surname || ""}
-DOB: ${lead.dob || ""}
-Amount Requested: ${lead.amount_requested || ""} over ${lead.loan_term || ""} weeks
-Income: ${lead.income || ""}
-Address: ${lead.address || ""}
-Town: ${lead.town || ""}
-Postcode: ${lead.postcode || ""}
-Best Time To Call: ${lead.best_call_time || ""}
-Collection Method: ${lead.method_collection || ""}
-Phone Number: ${lead.phone_number || ""}
-
-➡️ Mark as Issued: ${issueLink}`,
+    res.json({
+      success: true,
+      message: `Lead assigned to ${agent.name}`,
+      lead: { id: updated.id, status: updated.status, assigned_agent: updated.assigned_agent },
+      channels,
     });
-
-    // 🔄 Update loan application with agent NAME + status + timestamp
-    const { error: updateError } = await supabase
-      .from("loan_applications")
-      .update({
-        status: "In Progress",
-        assigned_agent: agent.name,   // ✅ store name instead of UUID
-        assigned_time: new Date().toISOString()
-      })
-      .eq("id", lead.id);
-
-    if (updateError) throw updateError;
-
-    res.json({ success: true, message: `Lead assigned to ${agent.name}` });
   } catch (err) {
     console.error("❌ Error assigning lead:", err);
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json(errorBody(err));
   }
 });
 
 
 
 // --- Send template route ---
-app.post("/send-template", async (req, res) => {
-  const { lead, type, company_name } = req.body;
+const sendTemplateBody = validateBody({
+  ...LEAD_REF_SCHEMA,
+  type: { type: "string", required: true },
+});
 
-  if (!lead || !type || !company_name) {
-    return res.status(400).json({ success: false, error: "Missing lead, type, or company_name" });
-  }
+app.post("/send-template", requireAuth, sendLimit, sendTemplateBody, idempotent("send-template"), async (req, res) => {
+  const { type } = req.body;
+  const { company_name } = req.user; // 🏢 always the caller's own company
 
   try {
-    // 🔍 Fetch templates for this company + type
-    const { data: templates, error: templateError } = await supabase
-      .from("message_templates")
-      .select("channel, subject, body")
-      .eq("company_name", company_name)
-      .eq("type", type);
+    const lead = await loadScopedLead(req.user, req.body.lead.id);
 
-    if (templateError || !templates?.length) {
-      throw new Error("No templates found");
-    }
+    const { status, channels } = await sendTemplateToLead({
+      lead,
+      type,
+      companyName: company_name,
+      changedBy: req.user.email,
+    });
 
-    // Loop through templates (sms + email)
-    for (const t of templates) {
-      if (t.channel === "sms" && lead.phone_number) {
-        await twilioClient.messages.create({
-          body: t.body,
-          from: twilioNumber,
-          to: lead.phone_number, // ✅ customer’s phone
-        });
-      }
+    res.json({ success: true, message: `${type} template sent for ${company_name}`, status, channels });
+  } catch (err) {
+    console.error("Error sending template:", err);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
 
-      if (t.channel === "email" && lead.email) {
-        await sgMail.send({
-          to: lead.email, // ✅ customer’s email
-          from: "info@handy-digital.com",
-          subject: t.subject || `Notification from ${company_name}`,
-          text: t.body,
-        });
-      }
-    }
-    
 
-    // 🔄 Update lead status to the chosen type
-    await supabase
-      .from("loan_applications")
-      .update({ status: type })
-      .eq("id", lead.id);
+// --- 📥 Bulk: CSV lead import + paced template sends ---
+// Import takes a text/csv body (column mapping as ?map[Header]=field), or JSON
+// { csv, mapping } for small files; ?dry_run=true only validates.
+const csvBody = express.text({ type: "text/csv", limit: process.env.IMPORT_MAX_BYTES || "5mb" });
 
-    res.json({ success: true, message: `${type} template sent for ${company_name}` });
+app.post("/leads/import", requireAuth, requireRole("admin", "manager"), csvBody, async (req, res) => {
+  const csv = typeof req.body === "string" ? req.body : req.body?.csv;
+  const mapping = typeof req.body === "string" ? req.query.map : req.body?.mapping;
+
+  if (!csv || typeof csv !== "string") {
+    return res.status(400).json({ success: false, error: "Send the CSV as text/csv or as { csv }" });
+  }
+
+  try {
+    const result = await importLeads({
+      user: req.user,
+      csv,
+      mapping: mapping && typeof mapping === "object" ? mapping : {},
+      dryRun: req.query.dry_run === "true",
+    });
+    res.json({ success: true, ...result });
   } catch (err) {
-    console.error("Error sending template:", err);
-    res.status(500).json({ success: false, error: err.message });
+    console.error("❌ Error importing leads:", err);
+    res.status(err.status || 500).json(errorBody(err));
   }
 });
 
+// { type, lead_ids: [...] } or { type, filter: { status, assigned_branch, assigned_agent, created_from, created_to } }
+app.post(
+  "/send-template/bulk",
+  requireAuth,
+  requireRole("admin", "manager"),
+  sendLimit,
+  validateBody({ type: { type: "string", required: true } }),
+  idempotent("send-template-bulk"),
+  async (req, res) => {
+    try {
+      const { job, notFound } = await createBulkSendJob(req.user, {
+        type: req.body.type,
+        leadIds: req.body.lead_ids,
+        filter: req.body.filter,
+      });
+      res.status(202).json({
+        success: true,
+        job_id: job.id,
+        total: job.total,
+        not_found: notFound,
+        message: `${req.body.type} template queued for ${job.total} lead(s)`,
+      });
+    } catch (err) {
+      console.error("❌ Error queuing bulk send:", err);
+      res.status(err.status || 500).json(errorBody(err));
+    }
+  }
+);
+
+app.get("/jobs/:id", requireAuth, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    const job = await getJob(req.user, req.params.id);
+    res.json({ success: true, job });
+  } catch (err) {
+    console.error("❌ Error loading job:", err);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
 
 
 
+// --- Save a message template (validated before it can ever be sent) ---
+app.post("/templates", requireAuth, requireRole("admin"), async (req, res) => {
+  const { type, channel, subject, body } = req.body;
+  const { company_name } = req.user;
 
-// --- Mark as issued route ---
-app.post("/mark-issued", async (req, res) => {
-  const { lead } = req.body;
+  const errors = validateTemplate({ channel, subject, body });
+  if (!type) errors.unshift({ field: "type", message: "Type is required" });
 
-  if (!lead?.id) {
-    return res.status(400).json({ success: false, error: "Missing lead id" });
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: "Invalid template", errors });
   }
 
   try {
-    const { error } = await supabase
-      .from("loan_applications")
-      .update({ 
-        status: "Issued",
-        issued_time: new Date().toISOString()
-       })
-      .eq("id", lead.id);
+    // One template per company + type + channel
+    const { data: existing, error: findError } = await supabase
+      .from("message_templates")
+      .select("id")
+      .eq("company_name", company_name)
+      .eq("type", type)
+      .eq("channel", channel)
+      .maybeSingle();
 
-    if (error) throw new Error(error.message);
+    if (findError) throw findError;
 
-    res.json({ success: true, message: "Lead marked as Issued" });
+    const row = { company_name, type, channel, subject: subject || null, body };
+    const { data: template, error } = existing
+      ? await supabase.from("message_templates").update(row).eq("id", existing.id).select().single()
+      : await supabase.from("message_templates").insert(row).select().single();
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      template,
+      sms: channel === "sms" ? countSmsSegments(body) : undefined,
+    });
   } catch (err) {
-    console.error("Error marking issued:", err);
+    console.error("❌ Error saving template:", err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// --- Preview a template against a real lead (nothing is sent) ---
+app.post("/templates/preview", requireAuth, async (req, res) => {
+  const { lead_id, template_id } = req.body;
 
+  if (!lead_id || (!template_id && !req.body.body)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Missing lead_id and template_id or body" });
+  }
 
+  try {
+    const lead = await loadScopedLead(req.user, lead_id);
 
-// --- Mark issued via token ---
-app.get("/mark-issued/:token", async (req, res) => {
-  const { token } = req.params;
-  const leadId = token.substring(0, token.lastIndexOf("-"));
+    // Either a saved template or a draft straight from the editor
+    let template = {
+      channel: req.body.channel || "sms",
+      subject: req.body.subject,
+      body: req.body.body,
+    };
 
-  if (!leadId) {
-    return res.status(400).send("Invalid token");
+    if (template_id) {
+      const { data, error } = await supabase
+        .from("message_templates")
+        .select("channel, subject, body")
+        .eq("id", template_id)
+        .eq("company_name", req.user.company_name)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        return res.status(404).json({ success: false, error: "Template not found" });
+      }
+      template = data;
+    }
+
+    const variables = buildTemplateVariables({ lead, companyName: req.user.company_name });
+    const subject = renderTemplate(template.subject, variables);
+    const body = renderTemplate(template.body, variables);
+
+    res.json({
+      success: true,
+      preview: {
+        channel: template.channel,
+        subject: template.channel === "email" ? subject.text : undefined,
+        body: body.text,
+        missing: [...new Set([...subject.missing, ...body.missing])],
+        errors: validateTemplate(template),
+        sms: template.channel === "sms" ? countSmsSegments(body.text) : undefined,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Error previewing template:", err);
+    res.status(err.status || 500).json(errorBody(err));
   }
+});
+
+
+
+
 
+// --- Mark as issued route ---
+app.post("/mark-issued", requireAuth, validateBody(LEAD_REF_SCHEMA), async (req, res) => {
   try {
-    const { data: lead, error } = await supabase
-      .from("loan_applications")
-      .select("first_name, surname")
-      .eq("id", leadId)
-      .single();
+    const lead = await loadScopedLead(req.user, req.body.lead.id, "id");
 
-    if (error || !lead) throw error;
-
-    res.send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8" />
-        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-        <title>Update Loan Status - ${lead.first_name} ${lead.surname}</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            text-align: center;
-            padding: 40px;
-            background-color: #f9fafb;
-          }
-          h2 { color: #2563eb; }
-          button {
-            background: #2563eb;
-            color: white;
-            border: none;
-            padding: 12px 24px;
-            font-size: 16px;
-            border-radius: 6px;
-            cursor: pointer;
-            margin: 10px;
-          }
-          button:hover { background: #1e40af; }
-          .decline { background: #dc2626; }
-          .contact { background: #ca8a04; }
-          .no-need { background: #9333ea; }
-          .decline:hover { background: #991b1b; }
-          .contact:hover { background: #92400e; }
-          .no-need:hover { background: #7e22ce; }
-        </style>
-      </head>
-      <body>
-        <h2>Update status for ${lead.first_name} ${lead.surname}</h2>
-
-        <form method="POST" action="/confirm-status/${token}?status=Issued">
-          <button type="submit">✅ Mark as Issued</button>
-        </form>
-
-        <form method="POST" action="/confirm-status/${token}?status=Agent Declined">
-          <button type="submit" class="decline">❌ Agent Declined</button>
-        </form>
-
-        <form method="POST" action="/confirm-status/${token}?status=Unable to Contact">
-          <button type="submit" class="contact">📞 Unable to Contact</button>
-        </form>
-
-        <form method="POST" action="/confirm-status/${token}?status=No Longer Needed">
-          <button type="submit" class="no-need">💭 No Longer Needed</button>
-        </form>
-      </body>
-      </html>
-    `);
-  } catch (err) {
-    console.error("❌ Error showing confirm page:", err);
-    res.status(500).send("Error loading confirmation page");
-  }
-});
-
-app.post("/confirm-status/:token", async (req, res) => {
-  const { token } = req.params;
-  const leadId = token.substring(0, token.lastIndexOf("-"));
-  const status = req.query.status || "Unknown";
+    await changeLeadStatus({
+      leadId: lead.id,
+      to: LEAD_STATUS.ISSUED,
+      changedBy: req.user.email,
+      channel: "dashboard",
+    });
 
-  if (!leadId) {
-    return res.status(400).send("Invalid token");
+    res.json({ success: true, message: "Lead marked as Issued" });
+  } catch (err) {
+    console.error("Error marking issued:", err);
+    res.status(err.status || 500).json(errorBody(err));
   }
+});
 
-  try {
-    const { data: lead, error: fetchError } = await supabase
-      .from("loan_applications")
-      .select("first_name, surname")
-      .eq("id", leadId)
-      .single();
 
-    if (fetchError || !lead) throw fetchError;
 
-    // 🧾 Update status and timestamp
-    const { error } = await supabase
-      .from("loan_applications")
-      .update({
-        status,
-        issued_time: new Date().toISOString(),
-      })
-      .eq("id", leadId);
 
-    if (error) throw error;
+// --- 📱 Agent mini-portal (the link in the assignment SMS) ---
+// The token opens its own lead, and while that's open any other lead assigned to the same agent.
+async function sendPortalPage(req, res, leadId) {
+  const { token } = req.params;
 
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Status Updated</title>
-        <style>
-          body { font-family: Arial, sans-serif; text-align: center; padding: 40px; background: #f9fafb; }
-          h2 { color: #2563eb; }
-        </style>
-      </head>
-      <body>
-        <h2>✅ ${lead.first_name} ${lead.surname}'s loan updated to: "${status}"</h2>
-        <p>You can now close this page.</p>
-      </body>
-      </html>
-    `);
+  try {
+    const portal = await openPortal(token);
+    const lead = await loadAgentLead(portal, leadId || portal.homeLeadId);
+    const [notes, otherLeads, branding] = await Promise.all([
+      listNotes(lead.id),
+      listOpenLeads(portal, lead.id),
+      getCompanySettings(portal.companyName),
+    ]);
+
+    res.send(
+      renderPortalPage({
+        token,
+        branding,
+        agentName: portal.agentName,
+        lead,
+        notes,
+        otherLeads,
+        notice: req.query.notice,
+        error: req.query.error,
+      })
+    );
   } catch (err) {
-    console.error("❌ Error updating loan status:", err);
-    res.status(500).send("Error updating status");
+    if (!(err instanceof IssueTokenError) && !(err.status < 500)) {
+      console.error("❌ Error showing agent portal:", err);
+    }
+    sendTokenError(res, err, "Error loading this lead");
   }
+}
+
+// Runs a portal form post, then goes back to the lead page (POST → redirect → GET)
+function portalAction(action) {
+  return async (req, res) => {
+    const { token } = req.params;
+    let back = `/portal/${encodeURIComponent(token)}`;
+
+    try {
+      const portal = await openPortal(token);
+      const lead = await loadAgentLead(portal, req.params.leadId || portal.homeLeadId);
+      back = `${back}/leads/${encodeURIComponent(lead.id)}`;
+
+      const notice = await action(portal, lead, req);
+      res.redirect(303, `${back}?notice=${encodeURIComponent(notice)}`);
+    } catch (err) {
+      // Bad input or a move the lead can't make: show it on the page
+      if (err.status === 400 || err.status === 409) {
+        const message = err.errors?.[0]?.message || err.message;
+        return res.redirect(303, `${back}?error=${encodeURIComponent(message)}`);
+      }
+      if (!(err instanceof IssueTokenError) && !(err.status < 500)) {
+        console.error("❌ Error updating lead from portal:", err);
+      }
+      sendTokenError(res, err, "Error updating this lead");
+    }
+  };
+}
+
+const recordOutcome = portalAction(async (portal, lead, req) => {
+  const status = await updateLeadFromPortal(portal, lead, {
+    status: req.body.status || req.query.status,
+    reason: req.body.decline_reason || undefined,
+    details: req.body.details,
+    note: req.body.note,
+  });
+  return `Lead updated to "${status}"`;
 });
 
+app.get("/mark-issued/:token", (req, res) => sendPortalPage(req, res));
+app.get("/portal/:token", (req, res) => sendPortalPage(req, res));
+app.get("/portal/:token/leads/:leadId", (req, res) => sendPortalPage(req, res, req.params.leadId));
+
+app.post("/portal/:token/leads/:leadId/status", recordOutcome);
+
+app.post(
+  "/portal/:token/leads/:leadId/notes",
+  portalAction(async (portal, lead, req) => {
+    await addNote(portal, lead, req.body.note);
+    return "Note added";
+  })
+);
+
+app.post(
+  "/portal/:token/leads/:leadId/callback",
+  portalAction(async (portal, lead, req) => {
+    const at = await scheduleCallback(portal, lead, { when: req.body.callback_at, note: req.body.note });
+    return `Callback booked for ${formatLocalDateTime(at)}`;
+  })
+);
+
+// Older status pages post here with ?status= for the link's own lead
+app.post("/confirm-status/:token", recordOutcome);
+
 
 
 
 
 // --- Webhook: lead-created ---
-app.post("/lead-created", async (req, res) => {
-  const newLead = req.body.record; // Supabase sends { type, table, record, schema }
+app.post("/lead-created", verifyWebhook("supabase"), async (req, res) => {
+  const record = req.body.record; // Supabase sends { type, table, record, schema }
 
-  console.log("📩 Webhook received new lead:", newLead);
+  console.log("📩 Webhook received new lead:", record?.id);
 
-  if (!newLead?.company_name) {
-    return res
-      .status(400)
-      .json({ success: false, error: "Missing company_name" });
+  const { value: newLead, errors } = validate(LEAD_SCHEMA, record || {});
+  const missing = errors.filter((e) => LEAD_SCHEMA[e.field]?.required);
+  if (missing.length) {
+    return res.status(400).json({ success: false, error: "Invalid lead", errors: missing });
+  }
+
+  // ⚠️ The row is already saved: a bad optional field (typo'd email, foreign
+  // postcode) is flagged to admins and left out of matching, not a reason to drop the lead
+  for (const { field, message } of errors) {
+    console.warn(`⚠️ Lead ${newLead.id} has an invalid ${field}: ${message}`);
+    delete newLead[field];
   }
 
   try {
+    // 🧹 Store the normalised phone / postcode so every later step sees the same format
+    const cleaned = Object.fromEntries(
+      ["phone_number", "postcode"]
+        .filter((field) => newLead[field] && newLead[field] !== record[field])
+        .map((field) => [field, newLead[field]])
+    );
+    if (newLead.id && Object.keys(cleaned).length) {
+      const { error: cleanError } = await supabase
+        .from("loan_applications")
+        .update(cleaned)
+        .eq("id", newLead.id);
+      if (cleanError) console.error("❌ Failed to store normalised lead fields:", cleanError.message);
+    }
+
+    // 🔁 Same customer applying again? Flag it rather than failing the webhook.
+    let duplicates = [];
+    try {
+      duplicates = await detectDuplicates(newLead);
+    } catch (err) {
+      console.error("❌ Error checking for duplicate leads:", err.message);
+    }
+
+    // 📤 Tell the company's own systems (before routing, so lead.created comes first)
+    await emitEvent(newLead.company_name, "lead.created", {
+      lead_id: newLead.id,
+      lead: leadSnapshot({ ...record, ...newLead }), // invalid fields as sent
+      possible_duplicates: duplicates.map((d) => d.lead.id),
+    });
+
+    // 📥 Bulk-imported leads don't alert per lead (the importer gets a summary)
+    const imported = Boolean(record.import_id);
+
     // ✅ Fetch admins for this company (not managers)
-    const { data: admins, error: adminError } = await supabase
-      .from("users")
-      .select("id, email, phone, role, company_name, lead_notifications")
-      .eq("company_name", newLead.company_name)
-      .eq("role", "admin")
-      .eq("lead_notifications", true); // only notify opted-in users
+    const { data: admins, error: adminError } = imported
+      ? { data: [] }
+      : await supabase
+          .from("users")
+          .select("id, email, phone, role, company_name, lead_notifications")
+          .eq("company_name", newLead.company_name)
+          .eq("role", "admin")
+          .eq("lead_notifications", true); // only notify opted-in users
 
     if (adminError) throw adminError;
 
-    if (!admins?.length) {
+    if (imported) {
+      console.log(`📥 Lead ${newLead.id} came from import ${record.import_id}; no admin alert`);
+    } else if (!admins?.length) {
       console.log(`⚠️ No admins found for ${newLead.company_name}`);
-      return res.json({ success: true, message: "No admins to notify" });
-    }
+    } else {
+      // ✅ Build snapshot message with dashboard link
+      const { dashboard_url: dashboardUrl } = await getCompanySettings(newLead.company_name);
+
+      const snapshot = `Lead: ${newLead.first_name || ""} ${
+        newLead.surname || ""
+      }, Amount: £${newLead.amount_requested || ""}`;
 
-    // ✅ Build snapshot message with dashboard link
-const dashboardUrl = `https://handy-digital-leads.co.uk`;
+      const repeat = duplicates.length
+        ? `⚠️ Possible repeat applicant: matches ${duplicates.length} recent application(s) (${duplicates[0].reasons.join(", ")}).\n\n`
+        : "";
 
-const snapshot = `Lead: ${newLead.first_name || ""} ${
-  newLead.surname || ""
-}, Amount: £${newLead.amount_requested || ""}`;
+      const invalid = errors.length
+        ? `⚠️ Please check: ${errors.map((e) => e.field.replace(/_/g, " ")).join(", ")} looked invalid.\n\n`
+        : "";
 
-const message = `A new lead has been submitted via ${newLead.company_name}.
+      const message = `${repeat}${invalid}A new lead has been submitted via ${newLead.company_name}.
 \n${snapshot}\n\nPlease log in to your dashboard to review full details:\n${dashboardUrl}`;
 
-    // ✅ Notify all admins (SMS + Email)
-    for (const admin of admins) {
-      // SMS via Twilio
-      if (admin.phone) {
-        await twilioClient.messages.create({
-          body: message,
-          from: twilioNumber,
-          to: admin.phone,
-        });
+      // ✅ Queue notifications for all admins (SMS + Email); over quota the lead is still routed
+      try {
+        await enqueueMessages(
+          admins.flatMap((admin) => [
+            { channel: "sms", to: admin.phone, body: message },
+            {
+              channel: "email",
+              to: admin.email,
+              subject: `${duplicates.length ? "Possible Repeat Applicant" : "New Lead Submitted"} - ${newLead.company_name}`,
+              body: message,
+            },
+          ]).map((m) => ({ ...m, leadId: newLead.id, companyName: newLead.company_name }))
+        );
+      } catch (err) {
+        if (err.status !== 429) throw err;
+        console.warn(`📊 New lead alert not sent: ${err.message}`);
       }
+    }
 
-      // Email via SendGrid
-      if (admin.email) {
-        await sgMail.send({
-          to: admin.email,
-          from: "info@handy-digital.com",
-          subject: `New Lead Submitted - ${newLead.company_name}`,
-          text: message,
-        });
-      }
+    // 🧭 Auto-route to a branch/agent when the company has routing rules.
+    // A routing failure leaves the lead for manual assignment rather than failing the webhook.
+    let routing = null;
+    try {
+      routing = await routeLead(newLead);
+    } catch (err) {
+      console.error("❌ Error auto-routing lead:", err.message);
     }
 
-    res.json({ success: true, message: "Admin notifications sent" });
+    res.json({
+      success: true,
+      message: imported
+        ? "Imported lead; admins not notified"
+        : admins?.length
+          ? "Admin notifications queued"
+          : "No admins to notify",
+      routing: routing && {
+        matched: routing.matched,
+        branch: routing.branch,
+        agent: routing.agent?.name || null,
+      },
+      duplicates: duplicates.map((d) => ({ lead_id: d.lead.id, score: d.score, reasons: d.reasons })),
+      invalid_fields: errors,
+    });
   } catch (err) {
     console.error("❌ Error sending admin notifications:", err);
     res.status(500).json({ success: false, error: err.message });
@@ -423,182 +719,532 @@ const message = `A new lead has been submitted via ${newLead.company_name}.
 });
 
 
+// --- 🔁 Possible repeat applicants (flagged on /lead-created) ---
+app.get("/duplicates", requireAuth, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    const duplicates = await listDuplicates(req.user);
+    res.json({ success: true, duplicates });
+  } catch (err) {
+    console.error("❌ Error listing duplicates:", err.message);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
 
-// 📊 Average Time To Issue (TTI) per agent (filtered by company + branch)
-// 📊 Average Time To Issue (TTI) per agent (filtered by company + branch)
-app.get("/avg-tti", async (req, res) => {
+// Body: keep (optional lead id — defaults to the earlier application)
+app.post("/duplicates/:id/merge", requireAuth, requireRole("admin", "manager"), async (req, res) => {
   try {
-    const { company_name, branch } = req.query; // 👈 now using 'branch'
-    console.log("📥 /avg-tti request received:", { company_name, branch });
+    const pair = await loadDuplicate(req.user, req.params.id);
+    const keepId = req.body?.keep || pair.duplicate_of;
 
-    // 🧩 Call the RPC
-    const { data, error } = await supabase.rpc("get_avg_tti");
-    if (error) throw error;
+    if (![pair.lead_id, pair.duplicate_of].includes(keepId)) {
+      throw validationError([{ field: "keep", message: "Must be one of the two leads in the pair" }]);
+    }
+
+    // Both leads must be in the caller's company/branch
+    const kept = await loadScopedLead(req.user, keepId);
+    const merged = await loadScopedLead(
+      req.user,
+      keepId === pair.lead_id ? pair.duplicate_of : pair.lead_id
+    );
 
-    console.log("📊 Raw rows returned from RPC:", data?.length || 0);
+    const result = await mergeDuplicate(pair, { kept, merged, resolvedBy: req.user.email });
+    res.json({ success: true, message: "Leads merged", duplicate: result });
+  } catch (err) {
+    console.error("❌ Error merging duplicate:", err.message);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
 
-    // 🧮 Filter logic
-    const filtered = data.filter((row) => {
-      const companyMatch =
-        !company_name ||
-        (row.company_name &&
-          row.company_name.trim().toLowerCase() ===
-            company_name.trim().toLowerCase());
+app.post("/duplicates/:id/dismiss", requireAuth, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    const pair = await loadDuplicate(req.user, req.params.id);
+    await loadScopedLead(req.user, pair.lead_id, "id");
+    await loadScopedLead(req.user, pair.duplicate_of, "id");
 
-      const branchMatch =
-        !branch ||
-        (row.assigned_branch &&
-          row.assigned_branch.toString() === branch.toString());
+    const result = await dismissDuplicate(pair, req.user.email);
+    res.json({ success: true, message: "Marked as not a duplicate", duplicate: result });
+  } catch (err) {
+    console.error("❌ Error dismissing duplicate:", err.message);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
 
-      return companyMatch && branchMatch;
+
+
+// 📊 Average Time To Issue (TTI) per agent (filtered by company + branch)
+// 📊 Average Time To Issue (TTI) per agent (filtered by company + branch)
+app.get("/avg-tti", requireAuth, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    // 🏢 Company is always the caller's; managers are pinned to their own branch
+    const { company_name } = req.user;
+    const branch = req.user.role === "admin" ? req.query.branch : req.user.branch;
+
+    // 🧮 Same numbers as /analytics/tti: filtered and averaged in the database
+    const rows = await runReport("tti", {
+      companyName: company_name,
+      branch,
+      from: req.query.from,
+      to: req.query.to,
+      groupBy: "agent",
+    });
+
+    // ⏰ SLA breaches per agent, shown alongside TTI
+    const breaches = await countBreachesByAgent(company_name, branch, {
+      from: req.query.from,
+      to: req.query.to,
     });
 
-    console.log("✅ Filtered rows after match:", filtered?.length || 0);
+    const formatted = rows.map((row) => ({
+      assigned_agent: row.group_key,
+      company_name,
+      issued_count: row.issued_count,
+      avg_tti: row.mean_tti,
+      sla_breaches: breaches[row.group_key] || { reminders: 0, escalations: 0 },
+    }));
+
+    res.json({ success: true, data: formatted });
+  } catch (err) {
+    console.error("❌ Error fetching TTI averages:", err.message);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
+
 
-    // 🕓 Format intervals
-    // 🕓 Format intervals
-const formatted = filtered
-  .map((row) => {
-    const interval = row.avg_tti_interval; // e.g. "1 day 03:22:00"
-    if (!interval || /0\s+days?\s+00:00:00/.test(interval)) return null; // 🧹 Skip empty/zero intervals
+// --- 🔔 Notification preferences for the signed-in user ---
+// lead_notifications: per-lead SMS/email alerts; digest_frequency: none | daily | weekly
+app.get("/me/preferences", requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("users")
+      .select("lead_notifications, digest_frequency")
+      .eq("id", req.user.id)
+      .single();
 
-    let days = 0,
-      hours = 0,
-      mins = 0;
+    if (error) throw error;
+    res.json({ success: true, preferences: data });
+  } catch (err) {
+    console.error("❌ Error loading preferences:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    const match = interval.match(/(\d+)\s+days?/);
-    if (match) days = parseInt(match[1], 10);
+app.put("/me/preferences", requireAuth, async (req, res) => {
+  const { lead_notifications, digest_frequency } = req.body;
+  const errors = [];
+  const update = {};
 
-    const timeMatch = interval.match(/(\d+):(\d+):/);
-    if (timeMatch) {
-      hours = parseInt(timeMatch[1], 10);
-      mins = parseInt(timeMatch[2], 10);
+  if (lead_notifications !== undefined) {
+    if (typeof lead_notifications !== "boolean") {
+      errors.push({ field: "lead_notifications", message: "Must be true or false" });
+    }
+    update.lead_notifications = lead_notifications;
+  }
+  if (digest_frequency !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(digest_frequency)) {
+      errors.push({ field: "digest_frequency", message: `Must be one of ${DIGEST_FREQUENCIES.join(", ")}` });
     }
+    update.digest_frequency = digest_frequency;
+  }
 
-    return {
-      assigned_agent: row.assigned_agent,
-      company_name: row.company_name,
-      avg_tti: `${days}d ${hours}h ${mins}m`,
-    };
-  })
-  .filter(Boolean); // 🧹 Remove nulls
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: "Invalid preferences", errors });
+  }
 
+  try {
+    const { data, error } = await supabase
+      .from("users")
+      .update(update)
+      .eq("id", req.user.id)
+      .select("lead_notifications, digest_frequency")
+      .single();
 
-    res.json({ success: true, data: formatted });
+    if (error) throw error;
+    res.json({ success: true, preferences: data });
   } catch (err) {
-    console.error("❌ Error fetching TTI averages:", err.message);
+    console.error("❌ Error saving preferences:", err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 
-// --- 📦 Assign Branch + Notify Only Branch Managers ---
-app.post("/assign-branch", async (req, res) => {
-  const { leadId, branchId } = req.body;
+// --- 📊 Analytics: /analytics/tti | funnel | outcomes | volume | sla_breaches ---
+// Query: from, to (ISO dates), branch (admins only), group_by, interval, format=csv
+app.get("/analytics/:report", requireAuth, requireRole("admin", "manager"), async (req, res) => {
+  const { report } = req.params;
+  const { from, to, group_by, interval, format } = req.query;
 
-  if (!leadId || !branchId) {
-    return res.status(400).json({
-      success: false,
-      error: "Missing leadId or branchId",
+  try {
+    // 🏢 Company is always the caller's; managers are pinned to their own branch
+    const rows = await runReport(report, {
+      companyName: req.user.company_name,
+      branch: req.user.role === "admin" ? req.query.branch : req.user.branch,
+      from,
+      to,
+      groupBy: group_by,
+      interval,
     });
+
+    if (format === "csv") {
+      return res
+        .type("text/csv")
+        .attachment(`${report}.csv`)
+        .send(toCsv(rows));
+    }
+
+    res.json({ success: true, report, data: rows });
+  } catch (err) {
+    console.error(`❌ Error running ${report} report:`, err.message);
+    res.status(err.status || 500).json(errorBody(err));
   }
+});
 
+
+// --- ⏰ SLA policy (per company) ---
+app.get("/sla/policy", requireAuth, requireRole("admin", "manager"), async (req, res) => {
   try {
-    console.log(`📩 Assigning branch ${branchId} to lead ${leadId}`);
+    const policy = await getSlaPolicy(req.user.company_name);
+    res.json({ success: true, policy });
+  } catch (err) {
+    console.error("❌ Error loading SLA policy:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.put("/sla/policy", requireAuth, requireRole("admin"), async (req, res) => {
+  const { reminder_after_minutes, escalate_after_minutes, unassign_on_escalation } = req.body;
+  const policy = { reminder_after_minutes, escalate_after_minutes, unassign_on_escalation };
 
-    // ✅ 1. Update lead’s assigned_branch and fetch lead details
-    const { data: updatedLead, error: updateError } = await supabase
-      .from("loan_applications")
-      .update({ assigned_branch: branchId })
-      .eq("id", leadId)
+  const errors = validateSlaPolicy(policy);
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: "Invalid SLA policy", errors });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("sla_policies")
+      .upsert(
+        {
+          company_name: req.user.company_name,
+          reminder_after_minutes,
+          escalate_after_minutes,
+          unassign_on_escalation: Boolean(unassign_on_escalation),
+        },
+        { onConflict: "company_name" }
+      )
       .select()
       .single();
 
-    if (updateError) throw updateError;
+    if (error) throw error;
+    res.json({ success: true, policy: data });
+  } catch (err) {
+    console.error("❌ Error saving SLA policy:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    if (!updatedLead) {
-      return res
-        .status(404)
-        .json({ success: false, error: "Lead not found after update" });
-    }
+// --- 🎨 Company branding + sender identity ---
+app.get("/company/settings", requireAuth, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    const settings = await getCompanySettings(req.user.company_name);
+    res.json({ success: true, settings });
+  } catch (err) {
+    console.error("❌ Error loading company settings:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    // ✅ 2. Fetch managers for this company + branch
-    const { data: managers, error: mgrError } = await supabase
-      .from("users")
-      .select("id, email, phone, role, company_name, branch, lead_notifications")
-      .eq("company_name", updatedLead.company_name)
-      .eq("branch", branchId)
-      .eq("role", "manager")
-      .eq("lead_notifications", true);
-
-    if (mgrError) throw mgrError;
-
-    if (!managers?.length) {
-      console.log(
-        `⚠️ No managers found for branch ${branchId} (${updatedLead.company_name})`
-      );
-      return res.json({
-        success: true,
-        message: "Branch assigned successfully (no managers found for notification)",
-      });
-    }
+// Partial update: only the fields sent change; null puts a field back to the default
+app.put("/company/settings", requireAuth, requireRole("admin"), async (req, res) => {
+  const settings = req.body || {};
 
-    // ✅ 3. Prepare message
-    const snapshot = `Lead: ${updatedLead.first_name || ""} ${
-      updatedLead.surname || ""
-    }\nAmount: £${updatedLead.amount_requested || ""}\nReason: ${
-      updatedLead.reason_for_borrowing || ""
-    }`;
-
-    const dashboardUrl = `https://handy-digital-leads.co.uk`;
-    const message = `A new lead has been assigned to your branch.
-\n${snapshot}\n\nView Lead: ${dashboardUrl}`;
-
-    // ✅ 4. Notify branch managersS
-    for (const manager of managers) {
-      // SMS
-      if (manager.phone) {
-        await twilioClient.messages.create({
-          body: message,
-          from: twilioNumber,
-          to: manager.phone,
-        });
-      }
+  const errors = validateCompanySettings(settings);
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: "Invalid company settings", errors });
+  }
 
-      // Email
-      if (manager.email) {
-        await sgMail.send({
-          to: manager.email,
-          from: "info@handy-digital.com",
-          subject: `New Lead Assigned - ${updatedLead.company_name}`,
-          text: message,
-        });
-      }
-    }
+  try {
+    const saved = await saveCompanySettings(req.user.company_name, settings, req.user.email);
+    res.json({ success: true, settings: saved });
+  } catch (err) {
+    console.error("❌ Error saving company settings:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 📋 Recorded breaches (optionally ?from=&to= ISO dates)
+app.get("/sla/breaches", requireAuth, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    let query = scopeToUser(
+      supabase
+        .from("sla_breaches")
+        .select("lead_id, assigned_agent, assigned_branch, assigned_time, kind, breached_at"),
+      req.user
+    ).order("breached_at", { ascending: false });
+
+    if (req.query.from) query = query.gte("breached_at", req.query.from);
+    if (req.query.to) query = query.lte("breached_at", req.query.to);
+
+    const { data, error } = await query.limit(1000);
+    if (error) throw error;
+
+    res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ Error loading SLA breaches:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+
+// --- 📊 Messaging usage against the company's daily / monthly quotas ---
+app.get("/usage", requireAuth, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    const usage = await getUsage(req.user.company_name);
+    res.json({ success: true, usage });
+  } catch (err) {
+    console.error("❌ Error loading usage:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+
+// --- 📤 Outbound event webhooks (per company, admin only) ---
+app.get("/webhooks", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const webhooks = await listSubscriptions(req.user.company_name);
+    res.json({ success: true, events: WEBHOOK_EVENTS, webhooks });
+  } catch (err) {
+    console.error("❌ Error loading webhooks:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// { url, events: [...], description? } → the signing secret is only returned here
+app.post("/webhooks", requireAuth, requireRole("admin"), async (req, res) => {
+  const { value, errors } = validateSubscription(req.body || {});
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: "Invalid webhook", errors });
+  }
+
+  try {
+    const webhook = await createSubscription(req.user.company_name, value, req.user.email);
+    res.status(201).json({ success: true, webhook });
+  } catch (err) {
+    console.error("❌ Error creating webhook:", err);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
+
+// Partial update of url / events / description / active (false pauses deliveries)
+app.put("/webhooks/:id", requireAuth, requireRole("admin"), async (req, res) => {
+  const { value, errors } = validateSubscription(req.body || {}, { partial: true });
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: "Invalid webhook", errors });
+  }
+
+  try {
+    const webhook = await updateSubscription(req.user.company_name, req.params.id, value);
+    res.json({ success: true, webhook });
+  } catch (err) {
+    console.error("❌ Error updating webhook:", err);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
+
+app.post("/webhooks/:id/rotate-secret", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const webhook = await rotateSecret(req.user.company_name, req.params.id);
+    res.json({ success: true, webhook });
+  } catch (err) {
+    console.error("❌ Error rotating webhook secret:", err);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
+
+// Queues a signed "ping" event to this endpoint only
+app.post("/webhooks/:id/test", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.user.company_name, req.params.id);
+    res.status(202).json({ success: true, delivery });
+  } catch (err) {
+    console.error("❌ Error sending test webhook:", err);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
+
+// 📋 Delivery log (?subscription_id=&event=&status=&lead_id=&limit=)
+app.get("/webhooks/deliveries", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const deliveries = await listDeliveries(req.user.company_name, req.query);
+    res.json({ success: true, deliveries });
+  } catch (err) {
+    console.error("❌ Error loading webhook deliveries:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// One delivery with its payload and the endpoint's last response
+app.get("/webhooks/deliveries/:id", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const delivery = await loadDelivery(req.user.company_name, req.params.id);
+    res.json({ success: true, delivery });
+  } catch (err) {
+    console.error("❌ Error loading webhook delivery:", err);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
+
+app.post("/webhooks/deliveries/:id/redeliver", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const delivery = await redeliver(req.user.company_name, req.params.id);
+    res.status(202).json({ success: true, delivery });
+  } catch (err) {
+    console.error("❌ Error redelivering webhook:", err);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
+
+
+// --- 📦 Assign Branch + Notify Only Branch Managers ---
+const assignBranchBody = validateBody({
+  leadId: { type: "id", required: true, label: "Lead id" },
+  branchId: { type: "id", required: true, label: "Branch" },
+});
+
+app.post("/assign-branch", requireAuth, requireRole("admin"), assignBranchBody, async (req, res) => {
+  const { leadId, branchId } = req.body;
+
+  try {
+    // 🏢 Only one of the caller's own branches
+    await assertCompanyBranch(req.user.company_name, branchId);
+
+    const { notified } = await assignLeadToBranch({
+      leadId,
+      branchId,
+      companyName: req.user.company_name,
+    });
 
-    // ✅ 5. Respond success
     res.json({
       success: true,
-      message: "Branch assigned and managers notified",
+      message: notified
+        ? "Branch assigned and manager notifications queued"
+        : "Branch assigned successfully (no managers found for notification)",
     });
   } catch (err) {
     console.error("❌ Error assigning branch or notifying managers:", err);
-    res.status(500).json({
-      success: false,
-      error: err.message,
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
+
+// --- 🧭 Routing rules (per company) ---
+app.get("/routing/rules", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("routing_rules")
+      .select("id, priority, match_type, match_values, branch, agent_strategy, active")
+      .eq("company_name", req.user.company_name)
+      .order("priority", { ascending: true });
+
+    if (error) throw error;
+    res.json({ success: true, rules: data });
+  } catch (err) {
+    console.error("❌ Error loading routing rules:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Replaces the company's whole rule list; array order is the priority order
+app.put("/routing/rules", requireAuth, requireRole("admin"), async (req, res) => {
+  const rules = req.body.rules;
+
+  if (!Array.isArray(rules)) {
+    return res.status(400).json({ success: false, error: "Missing rules array" });
+  }
+
+  const errors = rules.flatMap((rule, i) => validateRule(rule, i));
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: "Invalid routing rules", errors });
+  }
+
+  try {
+    const { company_name } = req.user;
+
+    const { error: deleteError } = await supabase
+      .from("routing_rules")
+      .delete()
+      .eq("company_name", company_name);
+
+    if (deleteError) throw deleteError;
+
+    const rows = rules.map((rule, i) => ({
+      company_name,
+      priority: i + 1,
+      match_type: rule.match_type,
+      match_values: rule.match_type === "default" ? [] : rule.match_values,
+      branch: rule.branch,
+      agent_strategy: rule.agent_strategy || "none",
+      active: rule.active !== false,
+    }));
+
+    const { data, error } = rows.length
+      ? await supabase.from("routing_rules").insert(rows).select()
+      : { data: [], error: null };
+
+    if (error) throw error;
+    res.json({ success: true, rules: data });
+  } catch (err) {
+    console.error("❌ Error saving routing rules:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Explains which rule (and agent) a lead would get — nothing is assigned or sent
+app.post("/routing/dry-run", requireAuth, requireRole("admin"), async (req, res) => {
+  if (!req.body.lead_id && !req.body.lead) {
+    return res.status(400).json({ success: false, error: "Missing lead_id or lead" });
+  }
+
+  try {
+    // A saved lead, or a hypothetical one (e.g. { postcode, town }) to test rules
+    const lead = req.body.lead_id
+      ? await loadScopedLead(req.user, req.body.lead_id)
+      : { ...req.body.lead, company_name: req.user.company_name };
+
+    const plan = await planRoute(lead);
+
+    res.json({
+      success: true,
+      matched: plan.matched,
+      rule: plan.rule,
+      branch: plan.branch,
+      agent: plan.agent && { id: plan.agent.id, name: plan.agent.name },
+      explanation: plan.explanation,
     });
+  } catch (err) {
+    console.error("❌ Error in routing dry run:", err);
+    res.status(err.status || 500).json(errorBody(err));
   }
 });
 
 // --- Send Open Banking link ---
-app.post("/send-open-banking", async (req, res) => {
-  const { customer_name, phone_number, company_name } = req.body;
+// Body: lead_id (required), customer_name / phone_number (optional overrides)
+const sendOpenBankingBody = validateBody({
+  lead_id: { type: "id", required: true },
+  customer_name: { type: "string" },
+  phone_number: { type: "phone" },
+});
 
-  if (!customer_name || !phone_number || !company_name) {
-    return res.status(400).json({ success: false, error: "Missing fields" });
-  }
+app.post("/send-open-banking", requireAuth, sendLimit, sendOpenBankingBody, async (req, res) => {
+  const { lead_id } = req.body;
+  const { company_name } = req.user;
 
   try {
+    const lead = await loadScopedLead(req.user, lead_id);
+    const customer_name =
+      req.body.customer_name || [lead.first_name, lead.surname].filter(Boolean).join(" ");
+    const to =
+      req.body.phone_number ||
+      assertValid(CONTACT_SCHEMA, lead, "Lead cannot be contacted").phone_number;
+
     // Fetch Open Banking SMS template for this company
     const { data: template, error: templateError } = await supabase
       .from("message_templates")
@@ -612,123 +1258,161 @@ app.post("/send-open-banking", async (req, res) => {
       throw new Error("No Open Banking template found for this company");
     }
 
-    // Format phone
-    const digits = phone_number.replace(/\D/g, "");
-    const to = digits.startsWith("44")
-      ? `+${digits}`
-      : digits.startsWith("0")
-      ? `+44${digits.slice(1)}`
-      : `+44${digits}`;
-
-    // Send SMS via Twilio
-    await twilioClient.messages.create({
-      body: template.body,
-      from: twilioNumber,
-      to,
+    // 📊 Don't open a request whose SMS the quota would block
+    await assertWithinQuota(company_name, "sms");
+
+    // 🏦 New request with its own link, tied to this lead
+    const request = await createOpenBankingRequest({
+      lead,
+      companyName: company_name,
+      customerName: customer_name,
+      phone: to,
     });
 
-    // Store log in Supabase
-    await supabase.from("open_banking").insert([
+    // 📬 Queue SMS
+    await enqueueMessages([
       {
-        company_name,
-        customer_name,
-        phone_number: to,
-        sent_at: new Date().toISOString(),
-        status: "Sent",
+        channel: "sms",
+        to,
+        leadId: lead.id,
+        companyName: company_name,
+        body: openBankingMessage(template.body, { lead, companyName: company_name, request }),
       },
     ]);
 
-    res.json({ success: true, message: "Open Banking link sent successfully" });
+    res.json({
+      success: true,
+      message: "Open Banking link queued",
+      request: { id: request.id, status: request.status, link_url: request.link_url },
+    });
   } catch (err) {
     console.error("❌ Error sending Open Banking link:", err);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
+
+// --- 🏦 Customer's unique Open Banking link → provider ---
+app.get("/ob/:reference", async (req, res) => {
+  try {
+    const request = await openRequest(req.params.reference);
+
+    if (!request) {
+      return res
+        .status(410)
+        .send(renderMessagePage("Link unavailable", "This Open Banking link has expired or is no longer valid. Please contact us for a new one."));
+    }
+
+    const providerUrl = process.env.OPEN_BANKING_PROVIDER_URL;
+    if (!providerUrl) {
+      console.error("❌ OPEN_BANKING_PROVIDER_URL is not configured");
+      return res.status(503).send(renderMessagePage("Please try again later", "Open Banking is temporarily unavailable."));
+    }
+
+    const target = new URL(providerUrl);
+    target.searchParams.set("reference", request.reference);
+    res.redirect(target.toString());
+  } catch (err) {
+    console.error("❌ Error opening Open Banking link:", err);
+    res.status(500).send(renderMessagePage("Something went wrong", "Please try again later."));
+  }
+});
+
+// --- 🏦 Provider callback: { reference, event: opened | consent_given | completed | expired } ---
+app.post("/open-banking/callback", verifyWebhook("open_banking"), async (req, res) => {
+  try {
+    const result = await applyProviderEvent(req.body);
+    if (!result.handled) {
+      console.warn(`⚠️ Open Banking callback ignored: ${result.reason}`);
+    }
+    res.json({ success: true, status: result.request?.status });
+  } catch (err) {
+    console.error("❌ Error handling Open Banking callback:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- 🏦 Staff view: current state of Open Banking requests (?lead_id=&status=) ---
+app.get("/open-banking", requireAuth, async (req, res) => {
+  try {
+    let query = supabase
+      .from("open_banking")
+      .select(
+        "id, lead_id, customer_name, phone_number, status, link_url, sent_at, opened_at, consent_at, completed_at, expired_at, expires_at, reminders_sent, last_reminder_at, loan_applications!inner(assigned_branch)"
+      )
+      .eq("company_name", req.user.company_name)
+      .order("sent_at", { ascending: false })
+      .limit(500);
+
+    if (req.user.role !== "admin") {
+      query = query.eq("loan_applications.assigned_branch", req.user.branch);
+    }
+    if (req.query.lead_id) query = query.eq("lead_id", req.query.lead_id);
+    if (req.query.status) query = query.eq("status", req.query.status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data.map(({ loan_applications, ...request }) => request),
+    });
+  } catch (err) {
+    console.error("❌ Error loading Open Banking requests:", err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 
-// (Optional) tiny helper – in case a raw UK number slips through
-const toE164UK = (n) => {
-  if (!n) return n;
-  const digits = String(n).replace(/\D/g, "");
-  if (digits.startsWith("44")) return `+${digits}`;
-  if (digits.startsWith("0")) return `+44${digits.slice(1)}`;
-  if (digits.startsWith("+")) return digits;
-  return `+44${digits}`;
-};
 // call-lead.js (part of your Express server)
-app.post("/call-lead", async (req, res) => {
-  const lead = req.body || {};
-  const phone = toE164UK(lead.phone_number); // 👈 matches your Supabase field
-
-  console.log("📞 Received lead:", lead.first_name, phone);
-
-  try {
-    const payload = {
-  assistantId: process.env.VAPI_ASSISTANT_ID,
-  phoneNumberId: process.env.VAPI_PHONE_NUMBER_ID,
-  customer: { number: phone },
-  assistantOverrides: {
-    variableValues: {
-      name: lead.first_name,
-      dob: lead.dob,
-      postcode: lead.postcode,
-      amount_requested: String(lead.amount_requested ?? ""),
-      preferred_call_time: lead.preferred_call_time || "",
-      reason_for_borrowing: lead.reason_for_borrowing || "",
-    },
-  },
-  metadata: {
-    lead_id: lead.id,
-    company_name: lead.company_name,
-  },
-  webhookUrl: process.env.VAPI_WEBHOOK_URL
-};
+const callLeadBody = validateBody({ id: { type: "id", required: true, label: "Lead id" } });
 
+app.post("/call-lead", requireAuth, requireRole("admin", "manager"), sendLimit, callLeadBody, async (req, res) => {
+  try {
+    // 🔍 Call only leads the caller can see, using the stored phone number
+    const lead = await loadScopedLead(req.user, req.body.id);
 
-    const resp = await axios.post("https://api.vapi.ai/call", payload, {
-      headers: {
-        Authorization: `Bearer ${process.env.VAPI_API_KEY}`,
-        "Content-Type": "application/json"
-      },
-      timeout: 15000
-    });
+    console.log("📞 Calling lead:", lead.id);
+
+    const call = await placeVapiCall(lead);
 
-    console.log("✅ Vapi call created:", resp.data);
-    res.json({ success: true, vapi: resp.data });
+    console.log("✅ Vapi call created:", call.id);
+    res.json({ success: true, vapi: call });
   } catch (err) {
     console.error("❌ Vapi call error:", err.response?.data || err.message);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json(errorBody(err));
   }
 });
 
 
-app.post("/vapi/callback", async (req, res) => {
-  const event = req.body;
-  console.log("📨 Vapi event:", JSON.stringify(event, null, 2));
-
-  const leadId = event.metadata?.lead_id;
-  const callId = event.id;
-  const transcript = event.transcript?.text || null;
-  const status = event.status || event.type || "unknown";
+// --- 🛡️ GDPR: everything held on one applicant (admin only) ---
+app.get("/gdpr/leads/:id/export", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const bundle = await exportApplicant(req.user, req.params.id);
+    console.log(`🛡️ Data export for lead ${req.params.id} by ${req.user.id}`);
 
-  if (!leadId) {
-    console.warn("⚠️ No lead_id in event metadata – cannot match");
-    return res.sendStatus(200);
+    res.setHeader("Content-Disposition", `attachment; filename="applicant-${req.params.id}.json"`);
+    res.json(bundle);
+  } catch (err) {
+    console.error("❌ Error exporting applicant data:", err.message);
+    res.status(err.status || 500).json(errorBody(err));
   }
+});
 
+// Anonymises the applicant's leads and deletes their calls, Open Banking and messages
+app.post("/gdpr/leads/:id/erase", requireAuth, requireRole("admin"), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("voice_call_1")
-      .insert({
-        lead_id: leadId,
-        vapi_call_id: callId,
-        phone_number: event.customer?.number,
-        transcript,
-        status,
-      });
+    const erased = await eraseApplicant(req.user, req.params.id);
+    res.json({ success: true, message: "Applicant data erased", erased });
+  } catch (err) {
+    console.error("❌ Error erasing applicant data:", err.message);
+    res.status(err.status || 500).json(errorBody(err));
+  }
+});
 
-    if (error) throw error;
-    console.log(`✅ Logged Vapi call for lead ${leadId}`);
+app.post("/vapi/callback", verifyWebhook("vapi"), async (req, res) => {
+  try {
+    const result = await handleVapiEvent(req.body);
+    console.log(`📨 Vapi ${result.type}${result.handled ? "" : ` skipped (${result.reason})`}`);
   } catch (err) {
     console.error("❌ Failed to store call:", err.message);
   }
@@ -738,10 +1422,99 @@ app.post("/vapi/callback", async (req, res) => {
 
 
 
+// --- 💬 Twilio inbound SMS: opt-outs + agent keyword replies ---
+const sendEmptyTwiml = (res) =>
+  res.type("text/xml").send(new twilio.twiml.MessagingResponse().toString());
+
+app.post(
+  "/twilio/inbound",
+  verifyWebhook("twilio", { duplicateResponse: sendEmptyTwiml }),
+  async (req, res) => {
+    const { From: from, Body: body } = req.body;
+    const twiml = new twilio.twiml.MessagingResponse();
+
+    try {
+      const reply = await handleInboundSms({ from, body });
+      if (reply) twiml.message(reply);
+    } catch (err) {
+      console.error("❌ Error handling inbound SMS:", err.message);
+      twiml.message("Sorry, we couldn't process that. Please use your lead link instead.");
+    }
+
+    res.type("text/xml").send(twiml.toString());
+  }
+);
+
+
+
+// --- 📬 Twilio delivery status callback (statusCallback on every SMS) ---
+app.post("/twilio/status", verifyWebhook("twilio"), async (req, res) => {
+  const { MessageSid, MessageStatus, ErrorCode } = req.body;
+
+  try {
+    await applyDeliveryEvent({
+      provider: "twilio",
+      messageId: req.query.message_id, // from our statusCallback URL
+      providerId: MessageSid,
+      status: mapTwilioStatus(MessageStatus),
+      errorCode: ErrorCode,
+      event: MessageStatus,
+      raw: req.body,
+    });
+  } catch (err) {
+    console.error("❌ Error recording Twilio status:", err.message);
+    return res.sendStatus(500); // Twilio retries
+  }
+
+  res.sendStatus(204);
+});
+
+// --- 📬 SendGrid Event Webhook (batches of email events) ---
+app.post("/sendgrid/events", verifyWebhook("sendgrid"), async (req, res) => {
+  const events = Array.isArray(req.body) ? req.body : [];
+
+  try {
+    for (const e of events) {
+      await applyDeliveryEvent({
+        provider: "sendgrid",
+        messageId: e.message_id, // our custom arg
+        providerId: e.sg_message_id?.split(".")[0],
+        status: mapSendgridEvent(e.event),
+        errorCode: e.status || e.reason,
+        event: e.event,
+        raw: e,
+      });
+    }
+  } catch (err) {
+    console.error("❌ Error recording SendGrid events:", err.message);
+    return res.sendStatus(500); // SendGrid retries
+  }
+
+  res.sendStatus(200);
+});
+
+
+
 // --- Start server ---
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
+  console.log(`🔔 Notifications via ${smsTransport.name} (sms) / ${emailTransport.name} (email)`);
+
+  // 🔁 Background workers (set RUN_WORKERS=false on extra web instances)
+  if (process.env.RUN_WORKERS !== "false") {
+    startMessageWorker(deliverMessage);
+    startSlaScheduler();
+    startDigestScheduler();
+    startCallRetryScheduler();
+    startOpenBankingScheduler();
+    startRetentionScheduler();
+    startCallbackReminderScheduler();
+    startBulkJobWorker();
+    startWebhookWorker();
+    startIdempotencyCleanup();
+    startWebhookEventCleanup();
+  }
 });
 
 
@@ -0,0 +1,19 @@
+-- Single-use, expiring links sent to agents with each assigned lead.
+-- Only the SHA-256 of the token is stored; the raw token lives in the SMS/email.
+create table if not exists issue_tokens (
+  id uuid primary key default gen_random_uuid(),
+  token_hash text not null unique,
+  lead_id uuid not null references loan_applications (id) on delete cascade,
+  agent_id uuid not null references agents (id) on delete cascade,
+  agent_name text not null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  revoked_at timestamptz
+);
+
+-- Only the server (service role, which bypasses RLS) touches this table; with
+-- RLS on and no policies the anon key the dashboard ships can't mint tokens
+alter table issue_tokens enable row level security;
+
+create index if not exists issue_tokens_lead_id_idx on issue_tokens (lead_id);
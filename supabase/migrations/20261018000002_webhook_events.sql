@@ -0,0 +1,10 @@
+-- Inbound webhook ids already processed, for replay protection.
+create table if not exists webhook_events (
+  id bigint generated always as identity primary key,
+  source text not null,
+  event_id text not null,
+  received_at timestamptz not null default now(),
+  unique (source, event_id)
+);
+
+alter table webhook_events enable row level security;
@@ -0,0 +1,26 @@
+-- Outbound SMS/email queue and message log. Rows stay after sending so the
+-- final status and provider id are kept per recipient.
+create table if not exists messages (
+  id uuid primary key default gen_random_uuid(),
+  channel text not null check (channel in ('sms', 'email')),
+  recipient text not null,
+  subject text,
+  body text not null,
+  lead_id uuid references loan_applications (id) on delete set null,
+  company_name text,
+  status text not null default 'queued'
+    check (status in ('queued', 'sending', 'sent', 'dead')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  next_attempt_at timestamptz not null default now(),
+  provider_id text,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+alter table messages enable row level security;
+
+create index if not exists messages_due_idx on messages (status, next_attempt_at);
+create index if not exists messages_lead_id_idx on messages (lead_id);
@@ -0,0 +1,68 @@
+-- Lead lifecycle: per-status timestamps and a full history of status changes.
+alter table loan_applications
+  add column if not exists declined_time timestamptz,
+  add column if not exists unable_to_contact_time timestamptz,
+  add column if not exists no_longer_needed_time timestamptz;
+
+create table if not exists lead_status_history (
+  id bigint generated always as identity primary key,
+  lead_id uuid not null references loan_applications (id) on delete cascade,
+  from_status text not null,
+  to_status text not null,
+  changed_by text not null,
+  channel text not null,
+  changed_at timestamptz not null default now()
+);
+
+alter table lead_status_history enable row level security;
+
+create index if not exists lead_status_history_lead_id_idx
+  on lead_status_history (lead_id, changed_at);
+
+-- The old routes stored whatever they were given (template types, "Agent
+-- Declined", "Unknown", odd casing). Map every one onto the lifecycle so no
+-- lead is stuck in a status lib/leadStatus.js has no transitions for; the
+-- original value is kept in legacy_status and the move is recorded.
+alter table loan_applications
+  add column if not exists legacy_status text;
+
+update loan_applications
+   set legacy_status = status,
+       status = case lower(trim(status))
+         when '' then null
+         when 'new' then 'New'
+         when 'in progress' then 'In Progress'
+         when 'issued' then 'Issued'
+         when 'declined' then 'Declined'
+         when 'agent declined' then 'Declined'
+         when 'unable to contact' then 'Unable to Contact'
+         when 'no longer needed' then 'No Longer Needed'
+         -- not an outcome: the lead is still open, with its agent if it has one
+         else case when assigned_agent is not null then 'In Progress' else 'New' end
+       end
+ where status is not null
+   and status not in ('New', 'In Progress', 'Issued', 'Declined', 'Unable to Contact', 'No Longer Needed');
+
+-- ...and the issued_time the old status link stamped on them meant nothing
+update loan_applications
+   set issued_time = null
+ where legacy_status is not null
+   and (status is null or status in ('New', 'In Progress'));
+
+insert into lead_status_history (lead_id, from_status, to_status, changed_by, channel)
+select id, legacy_status, coalesce(status, 'New'), 'migration', 'system'
+  from loan_applications
+ where legacy_status is not null;
+
+-- issued_time used to be stamped for every outcome; move it where it belongs
+update loan_applications
+   set declined_time = issued_time, issued_time = null
+ where status = 'Declined' and issued_time is not null;
+
+update loan_applications
+   set unable_to_contact_time = issued_time, issued_time = null
+ where status = 'Unable to Contact' and issued_time is not null;
+
+update loan_applications
+   set no_longer_needed_time = issued_time, issued_time = null
+ where status = 'No Longer Needed' and issued_time is not null;
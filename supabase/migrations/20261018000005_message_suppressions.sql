@@ -0,0 +1,14 @@
+-- Opt-outs (STOP replies etc.). Outbound messages to these recipients are skipped.
+create table if not exists message_suppressions (
+  recipient text primary key,
+  channel text not null default 'sms',
+  reason text not null,
+  source text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table message_suppressions enable row level security;
+
+alter table messages drop constraint if exists messages_status_check;
+alter table messages add constraint messages_status_check
+  check (status in ('queued', 'sending', 'sent', 'dead', 'suppressed'));
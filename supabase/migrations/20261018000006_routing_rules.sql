@@ -0,0 +1,23 @@
+-- Per-company automatic routing of new leads to a branch and agent.
+create table if not exists routing_rules (
+  id uuid primary key default gen_random_uuid(),
+  company_name text not null,
+  priority integer not null,
+  match_type text not null check (match_type in ('postcode_area', 'town', 'default')),
+  match_values text[] not null default '{}',
+  branch text not null,
+  agent_strategy text not null default 'none'
+    check (agent_strategy in ('round_robin', 'least_open', 'capacity', 'none')),
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table routing_rules enable row level security;
+
+create index if not exists routing_rules_company_idx on routing_rules (company_name, priority);
+
+-- Agent fields used by the routing strategies
+alter table agents
+  add column if not exists branch text,
+  add column if not exists capacity integer,
+  add column if not exists last_assigned_at timestamptz;
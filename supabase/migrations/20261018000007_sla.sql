@@ -0,0 +1,27 @@
+-- SLA thresholds per company and the breaches they produced.
+create table if not exists sla_policies (
+  company_name text primary key,
+  reminder_after_minutes integer not null check (reminder_after_minutes > 0),
+  escalate_after_minutes integer not null check (escalate_after_minutes > 0),
+  unassign_on_escalation boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+alter table sla_policies enable row level security;
+
+create table if not exists sla_breaches (
+  id bigint generated always as identity primary key,
+  lead_id uuid not null references loan_applications (id) on delete cascade,
+  company_name text not null,
+  assigned_agent text,
+  assigned_branch text,
+  assigned_time timestamptz not null,
+  kind text not null check (kind in ('reminder', 'escalation')),
+  breached_at timestamptz not null default now(),
+  -- one reminder and one escalation per assignment
+  unique (lead_id, assigned_time, kind)
+);
+
+alter table sla_breaches enable row level security;
+
+create index if not exists sla_breaches_company_idx on sla_breaches (company_name, breached_at);
@@ -0,0 +1,151 @@
+-- Lead-performance analytics. All filtering happens here so the API never
+-- pulls whole tables. Null parameters mean "no filter".
+
+-- Time to issue (assigned → issued) per agent, per branch or overall
+create or replace function analytics_tti(
+  p_company text,
+  p_branch text default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_group text default 'agent'
+)
+returns table (
+  group_key text,
+  issued_count bigint,
+  mean_seconds double precision,
+  median_seconds double precision,
+  p90_seconds double precision
+)
+language sql stable as $$
+  select
+    case p_group
+      when 'branch' then assigned_branch::text
+      when 'overall' then 'all'
+      else assigned_agent
+    end as group_key,
+    count(*) as issued_count,
+    avg(extract(epoch from issued_time - assigned_time)) as mean_seconds,
+    percentile_cont(0.5) within group (order by extract(epoch from issued_time - assigned_time)) as median_seconds,
+    percentile_cont(0.9) within group (order by extract(epoch from issued_time - assigned_time)) as p90_seconds
+  from loan_applications
+  where company_name = p_company
+    and status = 'Issued'
+    and assigned_time is not null
+    and issued_time >= assigned_time
+    and (p_branch is null or assigned_branch::text = p_branch)
+    and (p_from is null or issued_time >= p_from)
+    and (p_to is null or issued_time < p_to)
+  group by 1
+  order by 1;
+$$;
+
+-- How many leads created in the range sit in each status
+create or replace function analytics_funnel(
+  p_company text,
+  p_branch text default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns table (status text, leads bigint)
+language sql stable as $$
+  select coalesce(status, 'New') as status, count(*) as leads
+  from loan_applications
+  where company_name = p_company
+    and (p_branch is null or assigned_branch::text = p_branch)
+    and (p_from is null or created_at >= p_from)
+    and (p_to is null or created_at < p_to)
+  group by 1
+  order by 2 desc;
+$$;
+
+-- Outcome counts per agent or per branch
+create or replace function analytics_outcomes(
+  p_company text,
+  p_branch text default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_group text default 'agent'
+)
+returns table (
+  group_key text,
+  total bigint,
+  in_progress bigint,
+  issued bigint,
+  declined bigint,
+  unable_to_contact bigint,
+  no_longer_needed bigint
+)
+language sql stable as $$
+  select
+    case p_group when 'branch' then assigned_branch::text else assigned_agent end as group_key,
+    count(*) as total,
+    count(*) filter (where status = 'In Progress') as in_progress,
+    count(*) filter (where status = 'Issued') as issued,
+    count(*) filter (where status = 'Declined') as declined,
+    count(*) filter (where status = 'Unable to Contact') as unable_to_contact,
+    count(*) filter (where status = 'No Longer Needed') as no_longer_needed
+  from loan_applications
+  where company_name = p_company
+    and (case p_group when 'branch' then assigned_branch::text else assigned_agent end) is not null
+    and (p_branch is null or assigned_branch::text = p_branch)
+    and (p_from is null or created_at >= p_from)
+    and (p_to is null or created_at < p_to)
+  group by 1
+  order by 2 desc;
+$$;
+
+-- New leads per day / week / month
+create or replace function analytics_volume(
+  p_company text,
+  p_branch text default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_interval text default 'day'
+)
+returns table (period date, leads bigint)
+language sql stable as $$
+  select date_trunc(p_interval, created_at)::date as period, count(*) as leads
+  from loan_applications
+  where company_name = p_company
+    and (p_branch is null or assigned_branch::text = p_branch)
+    and (p_from is null or created_at >= p_from)
+    and (p_to is null or created_at < p_to)
+  group by 1
+  order by 1;
+$$;
+
+-- SLA reminders and escalations per agent, by when they were raised
+create or replace function analytics_sla_breaches(
+  p_company text,
+  p_branch text default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns table (group_key text, reminders bigint, escalations bigint)
+language sql stable as $$
+  select
+    assigned_agent as group_key,
+    count(*) filter (where kind = 'reminder') as reminders,
+    count(*) filter (where kind = 'escalation') as escalations
+  from sla_breaches
+  where company_name = p_company
+    and assigned_agent is not null
+    and (p_branch is null or assigned_branch = p_branch)
+    and (p_from is null or breached_at >= p_from)
+    and (p_to is null or breached_at < p_to)
+  group by 1
+  order by 1;
+$$;
+
+-- Called by the server only: the report functions read every company's leads,
+-- so the anon / signed-in keys may not call them through the Data API
+revoke execute on function analytics_tti(text, text, timestamptz, timestamptz, text) from public, anon, authenticated;
+revoke execute on function analytics_funnel(text, text, timestamptz, timestamptz) from public, anon, authenticated;
+revoke execute on function analytics_outcomes(text, text, timestamptz, timestamptz, text) from public, anon, authenticated;
+revoke execute on function analytics_volume(text, text, timestamptz, timestamptz, text) from public, anon, authenticated;
+revoke execute on function analytics_sla_breaches(text, text, timestamptz, timestamptz) from public, anon, authenticated;
+grant execute on function analytics_tti(text, text, timestamptz, timestamptz, text) to service_role;
+grant execute on function analytics_funnel(text, text, timestamptz, timestamptz) to service_role;
+grant execute on function analytics_outcomes(text, text, timestamptz, timestamptz, text) to service_role;
+grant execute on function analytics_volume(text, text, timestamptz, timestamptz, text) to service_role;
+grant execute on function analytics_sla_breaches(text, text, timestamptz, timestamptz) to service_role;
@@ -0,0 +1,15 @@
+-- Digest emails: per-user frequency and a log so each period is sent once.
+alter table users
+  add column if not exists digest_frequency text not null default 'none'
+    check (digest_frequency in ('none', 'daily', 'weekly'));
+
+create table if not exists digest_runs (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references users (id) on delete cascade,
+  frequency text not null,
+  period_start timestamptz not null,
+  sent_at timestamptz not null default now(),
+  unique (user_id, frequency, period_start)
+);
+
+alter table digest_runs enable row level security;
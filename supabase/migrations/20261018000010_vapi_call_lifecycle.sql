@@ -0,0 +1,57 @@
+-- One voice_call_1 row per Vapi call (previously one per event), with the
+-- end-of-call report, plus call retry state on the lead.
+
+-- Calls were logged once per event: fold each call's rows together first
+-- (the fullest transcript, the furthest-along status, any known number/lead)
+-- so every copy holds the same values, then keep just one of them
+with merged as (
+  select
+    vapi_call_id,
+    (array_agg(transcript order by length(transcript) desc)
+      filter (where transcript is not null and transcript <> ''))[1] as transcript,
+    (array_agg(status order by array_position(
+        array['scheduled', 'queued', 'ringing', 'in-progress', 'forwarding', 'ended'], status
+      ) desc nulls last, ctid desc)
+      filter (where status is not null))[1] as status,
+    (array_agg(phone_number order by ctid desc) filter (where phone_number is not null))[1] as phone_number,
+    (array_agg(lead_id order by ctid desc) filter (where lead_id is not null))[1] as lead_id
+  from voice_call_1
+  where vapi_call_id is not null
+  group by vapi_call_id
+  having count(*) > 1
+)
+update voice_call_1 v
+   set transcript = m.transcript,
+       status = m.status,
+       phone_number = m.phone_number,
+       lead_id = m.lead_id
+  from merged m
+ where v.vapi_call_id = m.vapi_call_id;
+
+delete from voice_call_1 a
+ using voice_call_1 b
+ where a.vapi_call_id = b.vapi_call_id
+   and a.ctid < b.ctid;
+
+alter table voice_call_1
+  add column if not exists attempt integer,
+  add column if not exists duration_seconds numeric,
+  add column if not exists ended_reason text,
+  add column if not exists recording_url text,
+  add column if not exists summary text,
+  add column if not exists structured_data jsonb,
+  add column if not exists success_evaluation text,
+  add column if not exists outcome text,
+  add column if not exists started_at timestamptz,
+  add column if not exists ended_at timestamptz,
+  add column if not exists updated_at timestamptz default now();
+
+create unique index if not exists voice_call_1_vapi_call_id_key on voice_call_1 (vapi_call_id);
+
+alter table loan_applications
+  add column if not exists call_attempts integer not null default 0,
+  add column if not exists next_call_at timestamptz,
+  add column if not exists call_outcome text;
+
+create index if not exists loan_applications_next_call_at_idx
+  on loan_applications (next_call_at) where next_call_at is not null;
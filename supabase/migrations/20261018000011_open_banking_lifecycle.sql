@@ -0,0 +1,24 @@
+-- Open Banking requests: linked to a lead, unique link, lifecycle timestamps
+-- and reminder tracking.
+alter table open_banking
+  add column if not exists lead_id uuid references loan_applications (id) on delete cascade,
+  add column if not exists reference text,
+  add column if not exists link_url text,
+  add column if not exists expires_at timestamptz,
+  add column if not exists opened_at timestamptz,
+  add column if not exists consent_at timestamptz,
+  add column if not exists completed_at timestamptz,
+  add column if not exists expired_at timestamptz,
+  add column if not exists reminders_sent integer not null default 0,
+  add column if not exists last_reminder_at timestamptz;
+
+-- Requests sent before this had no tracked link: they can't be reminded about
+-- or completed through us, so close them rather than let the sweep pick them up
+update open_banking
+   set status = 'Expired', expired_at = now()
+ where reference is null
+   and coalesce(status, 'Sent') in ('Sent', 'Opened', 'Consent Given');
+
+create unique index if not exists open_banking_reference_key on open_banking (reference);
+create index if not exists open_banking_lead_id_idx on open_banking (lead_id);
+create index if not exists open_banking_status_idx on open_banking (status);
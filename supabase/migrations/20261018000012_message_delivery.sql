@@ -0,0 +1,29 @@
+-- Delivery tracking for outbound messages (Twilio status callbacks,
+-- SendGrid Event Webhook).
+alter table messages
+  add column if not exists purpose text,
+  add column if not exists requested_by uuid references users (id) on delete set null,
+  add column if not exists delivery_status text
+    check (delivery_status in ('queued', 'sent', 'delivered', 'failed', 'bounced', 'opened')),
+  add column if not exists delivery_error_code text,
+  add column if not exists delivery_updated_at timestamptz,
+  add column if not exists delivered_at timestamptz,
+  add column if not exists opened_at timestamptz;
+
+create index if not exists messages_provider_id_idx on messages (provider_id);
+
+create table if not exists message_delivery_events (
+  id bigint generated always as identity primary key,
+  message_id uuid not null references messages (id) on delete cascade,
+  provider text not null,
+  event text,
+  status text,
+  error_code text,
+  payload jsonb,
+  received_at timestamptz not null default now()
+);
+
+alter table message_delivery_events enable row level security;
+
+create index if not exists message_delivery_events_message_id_idx
+  on message_delivery_events (message_id);
@@ -0,0 +1,29 @@
+-- Possible repeat applicants: pairs of leads scored on lead creation, for a
+-- manager to merge or dismiss. `duplicate_of` is the earlier application.
+create table if not exists lead_duplicates (
+  id uuid primary key default gen_random_uuid(),
+  company_name text not null,
+  lead_id uuid not null references loan_applications (id) on delete cascade,
+  duplicate_of uuid not null references loan_applications (id) on delete cascade,
+  score integer not null,
+  reasons text[] not null default '{}',
+  status text not null default 'open'
+    check (status in ('open', 'merged', 'dismissed')),
+  resolved_by text,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (lead_id, duplicate_of)
+);
+
+alter table lead_duplicates enable row level security;
+
+create index if not exists lead_duplicates_open_idx on lead_duplicates (company_name, status);
+
+-- Set on the lead that was folded into another on merge
+alter table loan_applications
+  add column if not exists merged_into uuid references loan_applications (id) on delete set null;
+
+-- Candidate lookups on lead creation
+create index if not exists loan_applications_phone_number_idx on loan_applications (phone_number);
+create index if not exists loan_applications_email_idx on loan_applications (lower(email));
+create index if not exists loan_applications_postcode_idx on loan_applications (postcode);
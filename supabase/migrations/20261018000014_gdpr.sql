@@ -0,0 +1,22 @@
+-- Data-subject erasure and retention: erased leads keep their non-personal
+-- columns (status, amounts, timestamps) with erased_at set; every erasure is
+-- recorded for audit.
+alter table loan_applications
+  add column if not exists erased_at timestamptz;
+
+create index if not exists loan_applications_retention_idx
+  on loan_applications (created_at) where erased_at is null;
+
+create table if not exists data_erasures (
+  id bigint generated always as identity primary key,
+  company_name text not null,
+  lead_ids uuid[] not null,
+  reason text not null check (reason in ('request', 'retention')),
+  requested_by text not null,
+  counts jsonb,
+  created_at timestamptz not null default now()
+);
+
+alter table data_erasures enable row level security;
+
+create index if not exists messages_recipient_idx on messages (recipient);
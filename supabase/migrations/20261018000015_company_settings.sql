@@ -0,0 +1,17 @@
+-- Per-company sender identity and branding. Null columns fall back to the
+-- platform defaults (NOTIFY_FROM_EMAIL, TWILIO_NUMBER, DASHBOARD_URL, PUBLIC_BASE_URL).
+create table if not exists company_settings (
+  company_name text primary key,
+  sender_email text,
+  sender_name text,
+  sms_from text, -- E.164 number or alphanumeric sender ID
+  dashboard_url text,
+  public_base_url text,
+  logo_url text,
+  primary_color text,
+  accent_color text,
+  updated_by text,
+  updated_at timestamptz not null default now()
+);
+
+alter table company_settings enable row level security;
@@ -0,0 +1,25 @@
+-- Agent mini-portal: notes, decline reasons and booked callbacks.
+create table if not exists lead_notes (
+  id bigint generated always as identity primary key,
+  lead_id uuid not null references loan_applications (id) on delete cascade,
+  author text not null,
+  author_type text not null default 'agent' check (author_type in ('agent', 'user')),
+  body text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table lead_notes enable row level security;
+
+create index if not exists lead_notes_lead_id_idx on lead_notes (lead_id, created_at);
+
+alter table loan_applications
+  add column if not exists decline_reason text,
+  add column if not exists callback_at timestamptz,
+  add column if not exists callback_reminded_at timestamptz;
+
+create index if not exists loan_applications_callback_idx
+  on loan_applications (callback_at) where callback_reminded_at is null;
+
+-- Status links now stay usable as the agent's portal; used_at records the
+-- first status update made through the link.
+comment on column issue_tokens.used_at is 'First status update made through this link';
@@ -0,0 +1,43 @@
+-- 🧺 Bulk jobs: CSV lead imports (run inline, recorded here) and paced
+-- bulk template sends (one item per lead, worked by the bulk-jobs scheduler)
+
+create table if not exists bulk_jobs (
+  id uuid primary key default gen_random_uuid(),
+  company_name text not null,
+  kind text not null check (kind in ('lead_import', 'send_template')),
+  params jsonb not null default '{}'::jsonb,
+  status text not null default 'running' check (status in ('running', 'completed')),
+  total integer not null default 0,
+  processed integer not null default 0,
+  succeeded integer not null default 0,
+  failed integer not null default 0,
+  skipped integer not null default 0,
+  errors jsonb,
+  created_by text,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz
+);
+
+alter table bulk_jobs enable row level security;
+
+create index if not exists bulk_jobs_company_idx on bulk_jobs (company_name, created_at desc);
+
+create table if not exists bulk_job_items (
+  id bigserial primary key,
+  job_id uuid not null references bulk_jobs (id) on delete cascade,
+  lead_id uuid not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'processing', 'sent', 'failed', 'skipped')),
+  error text,
+  claimed_at timestamptz,
+  processed_at timestamptz
+);
+
+alter table bulk_job_items enable row level security;
+
+create index if not exists bulk_job_items_job_status_idx on bulk_job_items (job_id, status);
+create index if not exists bulk_job_items_pending_idx on bulk_job_items (id) where status = 'pending';
+
+-- Leads created by an import (so /lead-created can skip the per-lead alert)
+alter table loan_applications add column if not exists import_id uuid references bulk_jobs (id) on delete set null;
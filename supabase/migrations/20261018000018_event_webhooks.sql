@@ -0,0 +1,48 @@
+-- 📤 Outbound event webhooks: per-company subscriptions and a delivery log
+-- that is also the retry queue (see lib/eventWebhooks.js)
+
+create table if not exists webhook_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  company_name text not null,
+  url text not null,
+  events text[] not null,
+  secret text not null,
+  description text,
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+alter table webhook_subscriptions enable row level security;
+
+create index if not exists webhook_subscriptions_company_idx on webhook_subscriptions (company_name);
+
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  subscription_id uuid not null references webhook_subscriptions (id) on delete cascade,
+  company_name text not null,
+  event text not null,
+  event_id uuid not null,
+  lead_id uuid,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'delivering', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_attempt_at timestamptz,
+  response_status integer,
+  response_body text,
+  error text,
+  redelivery_of uuid references webhook_deliveries (id) on delete set null,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+alter table webhook_deliveries enable row level security;
+
+create index if not exists webhook_deliveries_due_idx
+  on webhook_deliveries (next_attempt_at) where status = 'pending';
+create index if not exists webhook_deliveries_company_idx
+  on webhook_deliveries (company_name, created_at desc);
+create index if not exists webhook_deliveries_lead_idx on webhook_deliveries (lead_id);
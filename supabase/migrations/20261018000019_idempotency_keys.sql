@@ -0,0 +1,20 @@
+-- 🔂 Idempotency-Key claims + stored responses (see lib/idempotency.js)
+
+create table if not exists idempotency_keys (
+  id bigserial primary key,
+  user_id uuid not null,
+  scope text not null,
+  key text not null,
+  request_hash text not null,
+  status text not null default 'processing' check (status in ('processing', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  expires_at timestamptz not null,
+  unique (user_id, scope, key)
+);
+
+alter table idempotency_keys enable row level security;
+
+create index if not exists idempotency_keys_expires_idx on idempotency_keys (expires_at);
@@ -0,0 +1,71 @@
+-- 📊 Per-company messaging quotas (see lib/quotas.js). No row = platform
+-- defaults (QUOTA_* env vars); a null column = no cap on that channel/period.
+create table if not exists company_quotas (
+  company_name text primary key,
+  sms_daily integer,
+  sms_monthly integer,
+  email_daily integer,
+  email_monthly integer,
+  voice_daily integer,
+  voice_monthly integer,
+  warn_levels integer[], -- % of a cap that triggers an admin warning, e.g. {80,100}
+  updated_at timestamptz not null default now()
+);
+
+alter table company_quotas enable row level security;
+
+-- Usage per company + channel for each UTC day and month
+create table if not exists usage_counters (
+  company_name text not null,
+  channel text not null check (channel in ('sms', 'email', 'voice')),
+  period text not null check (period in ('day', 'month')),
+  period_start date not null,
+  used integer not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (company_name, channel, period, period_start)
+);
+
+alter table usage_counters enable row level security;
+
+-- Adds p_amount (negative to give back) to the day and month counters in one
+-- statement and returns the new totals
+create or replace function increment_usage(
+  p_company text,
+  p_channel text,
+  p_day date,
+  p_month date,
+  p_amount integer
+)
+returns table (day_used integer, month_used integer)
+language sql as $$
+  with bumped as (
+    insert into usage_counters (company_name, channel, period, period_start, used)
+    values
+      (p_company, p_channel, 'day', p_day, greatest(p_amount, 0)),
+      (p_company, p_channel, 'month', p_month, greatest(p_amount, 0))
+    on conflict (company_name, channel, period, period_start)
+      do update set used = greatest(usage_counters.used + p_amount, 0), updated_at = now()
+    returning period, used
+  )
+  select
+    (select used from bumped where period = 'day'),
+    (select used from bumped where period = 'month');
+$$;
+
+-- Server only: anyone else could burn another company's quota or wind their own back
+revoke execute on function increment_usage(text, text, date, date, integer) from public, anon, authenticated;
+grant execute on function increment_usage(text, text, date, date, integer) to service_role;
+
+-- One warning per level per period
+create table if not exists quota_warnings (
+  id bigserial primary key,
+  company_name text not null,
+  channel text not null,
+  period text not null,
+  period_start date not null,
+  level integer not null,
+  created_at timestamptz not null default now(),
+  unique (company_name, channel, period, period_start, level)
+);
+
+alter table quota_warnings enable row level security;
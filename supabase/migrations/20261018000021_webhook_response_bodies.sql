@@ -0,0 +1,6 @@
+-- 📤 Only successful webhook replies are kept (see lib/eventWebhooks.js);
+-- drop the error pages logged before that, which could come from anywhere.
+update webhook_deliveries
+set response_body = null
+where response_body is not null
+  and (response_status is null or response_status not between 200 and 299);
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// lib/supabase.js builds its client on import; it's never called here
+process.env.VITE_SUPABASE_URL ||= "http://localhost";
+process.env.VITE_SUPABASE_SERVICE_ROLE_KEY ||= "test";
+
+const { classifyOutcome, statusForOutcome } = await import("../lib/vapi.js");
+const { LEAD_STATUS, canTransition } = await import("../lib/leadStatus.js");
+
+test("a qualified call moves a new lead to In Progress", () => {
+  const outcome = classifyOutcome({
+    endedReason: "customer-ended-call",
+    analysis: { structuredData: { outcome: "Qualified" } },
+  });
+
+  assert.equal(outcome, "qualified");
+  assert.equal(statusForOutcome(outcome), LEAD_STATUS.IN_PROGRESS);
+  assert.ok(canTransition(null, LEAD_STATUS.IN_PROGRESS));
+});
+
+test("not interested closes the lead", () => {
+  const outcome = classifyOutcome({ analysis: { structuredData: { interested: false } } });
+  assert.equal(statusForOutcome(outcome), LEAD_STATUS.NO_LONGER_NEEDED);
+});
+
+test("no answer only closes the lead once retries run out", () => {
+  const outcome = classifyOutcome({ endedReason: "customer-did-not-answer" });
+  assert.equal(statusForOutcome(outcome, { retryScheduled: true }), null);
+  assert.equal(statusForOutcome(outcome, { retryScheduled: false }), LEAD_STATUS.UNABLE_TO_CONTACT);
+});
+
+test("a plain completed call leaves the status alone", () => {
+  assert.equal(statusForOutcome(classifyOutcome({ endedReason: "customer-ended-call" })), null);
+});